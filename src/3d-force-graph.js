@@ -1,10 +1,22 @@
-import { AmbientLight, DirectionalLight, Vector3, REVISION } from 'three';
+import {
+  AmbientLight,
+  DirectionalLight,
+  Vector3,
+  REVISION,
+  Mesh,
+  BoxGeometry,
+  ConeGeometry,
+  CylinderGeometry,
+  MeshLambertMaterial
+} from 'three';
 
 const three = window.THREE
   ? window.THREE // Prefer consumption from global THREE, if exists
-  : { AmbientLight, DirectionalLight, Vector3, REVISION };
+  : { AmbientLight, DirectionalLight, Vector3, REVISION, Mesh, BoxGeometry, ConeGeometry, CylinderGeometry, MeshLambertMaterial };
 
 import animationManager from './animation-manager.js';
+import nodeObjectFactory, { NodeObjectFactory } from './node-object-factory.js';
+import { markSharedMaterial } from './shared-materials.js';
 
 import { DragControls as ThreeDragControls } from 'three/examples/jsm/controls/DragControls.js';
 
@@ -15,6 +27,18 @@ import accessorFn from 'accessor-fn';
 import Kapsule from 'kapsule';
 
 import linkKapsule from './kapsule-link.js';
+import { diffGraphData, applyGraphDeltas, mergeExistingNodes, getGraphIdGetters, getLinkKeyFn } from './api-loader/merge.js';
+import { ApiRequest, createAbortError, isAbortError, linkAbortSignal, wait } from './api-loader/request.js';
+import { ExpansionTracker } from './api-loader/expansion-tracker.js';
+import { ResponseCache } from './api-loader/response-cache.js';
+import { createRestAdapter } from './api-loader/adapters/index.js';
+import { LiveUpdatesChannel } from './api-loader/live-updates.js';
+import { seedPositions } from './api-loader/seed-positions.js';
+import { selectNodesToEvict } from './api-loader/eviction.js';
+import { ApiParseError, ApiValidationError } from './api-loader/errors.js';
+import { validateGraphData, describeIssues } from './api-loader/validation.js';
+import { createExpansionQuery } from './api-loader/expansion-query.js';
+import { getLayout, applyLayout, isLayout } from './api-loader/layout.js';
 
 //
 
@@ -40,7 +64,6 @@ const linkedFGProps = Object.assign(...[
   'nodeAutoColorBy',
   'nodeOpacity',
   'nodeVisibility',
-  'nodeThreeObject',
   'nodeThreeObjectExtend',
   'nodePositionUpdate',
   'linkSource',
@@ -117,9 +140,53 @@ export default Kapsule({
     apiBaseUrl: { default: '', triggerUpdate: false },
     apiInitEndpoint: { default: '/graph-data', triggerUpdate: false },
     apiLoadNodesEndpoint: { default: '/graph-data/nodes', triggerUpdate: false },
+    apiSearchEndpoint: { default: '/graph-data/search', triggerUpdate: false },
+    apiLayoutEndpoint: { default: '/graph-layout', triggerUpdate: false },
+    apiRestoreLayout: { default: false, triggerUpdate: false }, // Whether initGraphFromApi applies the saved layout of the dimension
+    dimensionTransitionAnimation: { default: 'fade', triggerUpdate: false }, // Animation of the nodes entering or leaving on switchDimension (null to disable)
+    dimensionTransitionDuration: { default: 500, triggerUpdate: false }, // Duration in ms of the switchDimension transition
+    onDimensionChange: { default: () => {}, triggerUpdate: false },
     apiFetchOptions: { default: {}, triggerUpdate: false },
+    apiAdapter: { default: createRestAdapter(), triggerUpdate: false }, // { init(dimensionId), expand(nodeIds) }
+    apiCursorParam: { default: 'cursor', triggerUpdate: false }, // Query param used to request the next page
+    apiNextCursorField: { default: 'nextCursor', triggerUpdate: false }, // Response field holding the next page cursor
+    apiTimeout: { default: 0, triggerUpdate: false }, // Per-attempt timeout in ms (0 = no timeout)
+    apiRetries: { default: 0, triggerUpdate: false }, // Max retries for 5xx/network errors
+    apiRetryDelay: { default: 500, triggerUpdate: false }, // Base retry delay in ms, doubled on each retry
+    apiRequestInterceptors: { default: [], triggerUpdate: false }, // fn({ url, options }) returning (a Promise of) the request to send
+    apiResponseTransformers: { default: [], triggerUpdate: false }, // fn(data, methodName) returning the graph data to merge
+    apiAuthRefresh: { default: null, triggerUpdate: false }, // fn() returning a Promise resolved once credentials are refreshed, on 401 responses
+    apiBatchWindow: { default: 0, triggerUpdate: false }, // Time in ms during which loadNextNodes calls are coalesced
+    expandOnNodeClick: { default: false, triggerUpdate: false }, // Toggle the expansion of nodes when clicked
+    prefetchOnHover: { default: false, triggerUpdate: false }, // Prefetch the neighbourhood of hovered nodes into the response cache
+    prefetchHoverDelay: { default: 300, triggerUpdate: false }, // Time in ms a node must be hovered before prefetching
+    expandLoadingAnimation: { default: 'pulse', triggerUpdate: false }, // Animation played on nodes while loading (null to disable)
+    expandLoadingAnimationOptions: { default: {}, triggerUpdate: false },
+    expansionSeedRadius: { default: 10, triggerUpdate: false }, // Distance from the expanded node at which new nodes start (0 to disable)
+    expansionPinDuration: { default: 0, triggerUpdate: false }, // Time in ms during which existing nodes are pinned after an expansion
+    maxNodes: { default: 0, triggerUpdate: false }, // Node budget of expansions, searches and live additions (0 = unlimited), not of the initial load
+    evictionPolicy: { default: 'least-recently-expanded', triggerUpdate: false }, // 'least-recently-expanded', 'farthest' or fn(candidates, count, { focusIds })
+    evictionFocusNode: { default: null, triggerUpdate: false }, // Node (id) distances are measured from by the 'farthest' policy, defaults to the expanded nodes
+    onNodesEvicted: { default: () => {}, triggerUpdate: false },
+    apiValidation: { default: 'drop', triggerUpdate: false }, // Whether invalid items of API responses are dropped ('drop') or fail the request ('reject')
+    apiNodeMergeStrategy: { default: 'ignore', triggerUpdate: false }, // 'ignore', 'shallow-merge', 'replace' or fn(existingNode, incomingNode)
+    apiCache: {
+      default: false, // false, true or { maxSize, ttl }
+      triggerUpdate: false,
+      onChange(options, state) {
+        state._apiCache = options ? new ResponseCache(options === true ? {} : options) : null;
+      }
+    },
+    apiLiveUrl: { default: '', triggerUpdate: false }, // WebSocket (ws/wss) or EventSource URL of the live updates channel
+    apiLiveReconnectDelay: { default: 1000, triggerUpdate: false }, // Base reconnection delay in ms, doubled on each attempt
+    onApiProgress: { default: () => {}, triggerUpdate: false },
+    onLiveUpdate: { default: () => {}, triggerUpdate: false },
     onApiError: { default: () => {}, triggerUpdate: false },
 
+    // Link identity, used when merging API data
+    linkId: { default: null, triggerUpdate: false }, // Falls back to source, target and type
+    linkUndirected: { default: false, triggerUpdate: false }, // Whether A->B and B->A are the same link
+
     // Camera orbit configuration
     cameraOrbit: { default: false, triggerUpdate: false },
     cameraOrbitSpeed: { default: 1, triggerUpdate: false }, // Degrees per second
@@ -163,7 +230,33 @@ export default Kapsule({
     onBackgroundRightClick: { triggerUpdate: false },
     showPointerCursor: { default: true, triggerUpdate: false },
     ...linkedFGProps,
-    ...linkedRenderObjsProps
+    ...linkedRenderObjsProps,
+
+    // Node objects of a registered type are created by the factory, the others by nodeThreeObject
+    nodeThreeObject: {
+      default: null,
+      triggerUpdate: false,
+      onChange(accessor, state, prevAccessor) {
+        // Accessors created by a factory (createAccessor) take precedence over the graph's factory
+        const prevSource = getNodeObjectSource(state, prevAccessor);
+        const source = getNodeObjectSource(state);
+        prevSource && (!source || source.factory !== prevSource.factory) && this._syncFactoryObjects([], prevSource.factory);
+        this._updateNodeObjectAccessor();
+      }
+    },
+    nodeObjectFactory: {
+      default: null, // a per-graph factory inheriting the global types is set on init (null to disable)
+      triggerUpdate: false,
+      onChange(factory, state, prevFactory) {
+        // Any value but the initial default is the user's, which init keeps
+        prevFactory !== undefined && (state._nodeObjectFactorySet = true);
+
+        // The node objects are recreated by the new one, unless made by a factory accessor
+        const prevSource = getNodeObjectSource(state, state.nodeThreeObject, prevFactory);
+        prevSource && prevSource.factory === prevFactory && this._syncFactoryObjects([], prevFactory);
+        this._updateNodeObjectAccessor();
+      }
+    }
   },
 
   methods: {
@@ -411,115 +504,1017 @@ export default Kapsule({
       return state._animationManager.toggleAnimation(nodeObj, animationName, options, immediate);
     },
 
-    _destructor: function() {
+    /**
+     * Update the objects of nodes to their current attributes (e.g. color or val), in place where
+     * possible so that they keep their drag state and animations. Node objects that can't be
+     * updated in place (e.g. custom objects or types without an update function) are recreated.
+     * @param {object[]} [nodes] - The nodes to update, all of them by default
+     */
+    updateNodeVisuals: function(state, nodes = this.graphData().nodes) {
+      const { factory, THREE, typeAttribute, getNodeId } = getNodeObjectSource(state) || {};
+      let redigest = false;
+      let recreate = false;
+
+      nodes.forEach(node => {
+        const obj = node.__threeObj;
+        if (!obj) return; // not rendered yet
+
+        const nodeId = factory && getNodeId(node);
+        const factoryObj = factory && state._factoryObjects.get(nodeId);
+        if (factoryObj) {
+          const update = () => factory.updateObject(node, THREE, typeAttribute, nodeId);
+          const updated = state._animationManager ? state._animationManager.applyUpdate(obj, update) : update();
+          recreate = recreate || !updated;
+        } else if (!obj.__graphDefaultObj || (factory && factory.hasType(node[typeAttribute]))) {
+          recreate = true; // custom object, or default one that should be of a registered type by now
+        }
+
+        // The default sphere objects are updated by the forcegraph
+        redigest = redigest || !!obj.__graphDefaultObj;
+      });
+
+      if (recreate) {
+        this.refresh();
+      } else if (redigest) {
+        this.nodeColor(this.nodeColor());
+      }
+      return this;
+    },
+
+    _destructor: function(state) {
       this.pauseAnimation();
+      clearTimeout(state._prefetchTimer);
+      clearTimeout(state._dimensionTransitionTimer);
+      this.cancelApiRequests();
+      this.disconnectLiveUpdates();
+      this._releaseExpansionPins();
+      this._syncFactoryObjects([]); // release all the factory objects of the graph
       this.graphData({ nodes: [], links: []});
     },
 
     // API loader methods
-    initGraphFromApi: function(state, dimensionId) {
-      const baseUrl = state.apiBaseUrl;
-      const endpoint = state.apiInitEndpoint;
-      const url = new URL(endpoint, baseUrl || window.location.origin);
+    _createApiRequest: function(state, url, fetchOptions, signal) {
+      return new ApiRequest(url, fetchOptions, {
+        signal,
+        timeout: state.apiTimeout,
+        retries: state.apiRetries,
+        retryDelay: state.apiRetryDelay,
+        interceptors: state.apiRequestInterceptors,
+        onUnauthorized: state.apiAuthRefresh && (() => {
+          // Share a single refresh between concurrently rejected requests
+          state._apiAuthRefreshing = state._apiAuthRefreshing || Promise.resolve()
+            .then(() => state.apiAuthRefresh())
+            .finally(() => { state._apiAuthRefreshing = null; });
+          return state._apiAuthRefreshing;
+        })
+      });
+    },
+
+    _transformApiResponse: function(state, data, methodName) {
+      return state.apiResponseTransformers.reduce((data, transform) => transform(data, methodName), data);
+    },
 
-      if (dimensionId !== undefined) {
-        url.searchParams.set('dimensionId', dimensionId);
+    _validateApiData: function(state, data, options) {
+      const { data: validData, issues } = validateGraphData(data, state, options);
+      this._reportApiDataIssues(issues, options.url);
+      return issues.length ? validData : data;
+    },
+
+    // Reject invalid data, or warn that its invalid items are ignored, depending on apiValidation
+    _reportApiDataIssues: function(state, issues, url) {
+      if (!issues.length) return;
+
+      if (state.apiValidation === 'reject') {
+        throw new ApiValidationError(`Invalid API response: ${describeIssues(issues)}`, issues, { url });
       }
+      console.warn(`ForceGraph3D: Ignoring ${describeIssues(issues)}`);
+    },
 
-      const fetchOptions = {
-        method: 'GET',
-        ...state.apiFetchOptions
+    _trackApiController: function(state, signal) {
+      const controller = new AbortController();
+      state._apiControllers.set(controller, linkAbortSignal(controller, signal));
+      return controller;
+    },
+
+    // Stop tracking the controller of a settled request, and following the signal of its caller
+    _releaseApiController: function(state, controller) {
+      const unlink = state._apiControllers.get(controller);
+      unlink && unlink();
+      state._apiControllers.delete(controller);
+    },
+
+    _createAdapterContext: function(state, signal, cacheTags, onChunk) {
+      let request = null;
+
+      return {
+        graph: this,
+        signal,
+        onChunk,
+        fetchJson: (url, fetchOptions = {}, { cacheKey, parse, cache = true } = {}) => {
+          request = this._createApiRequest(url, fetchOptions, signal);
+          return this._sendCachedApiRequest(
+            request,
+            cache ? cacheKey || [fetchOptions.method || 'GET', url, fetchOptions.body].filter(Boolean).join(' ') : null,
+            cacheTags,
+            parse
+          );
+        },
+        // Information on the last request, as reported to onApiError
+        info: () => request
+          ? request.info
+          : { url: null, attempts: 0, cancelled: !!signal && signal.aborted, timedOut: false }
       };
+    },
+
+    _sendCachedApiRequest: function(state, request, cacheKey, cacheTags, parseResponse = response => response.json()) {
+      const cache = cacheKey !== null ? state._apiCache : null;
+      const cached = cache && cache.get(cacheKey);
 
-      return fetch(url.toString(), fetchOptions)
+      if (cached && cached.fresh) return Promise.resolve(cached.data);
+
+      if (cached) {
+        // Revalidate the expired response instead of downloading it again
+        request.fetchOptions = {
+          ...request.fetchOptions,
+          headers: { ...(request.fetchOptions.headers || {}), 'If-None-Match': cached.etag }
+        };
+      }
+
+      return request.send()
         .then(response => {
-          if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+          if (cached && response.status === 304) {
+            cache.refresh(cacheKey);
+            return cached.data;
           }
-          return response.json();
-        })
+
+          return Promise.resolve()
+            .then(() => parseResponse(response))
+            .catch(error => {
+              throw error instanceof SyntaxError ? new ApiParseError(error, { url: request.url, status: response.status }) : error;
+            })
+            .then(data => {
+              // Streamed responses resolve with no data, and are never cached
+              if (cacheKey !== null && state._apiCache && data !== undefined) {
+                const etag = response.headers && response.headers.get('ETag');
+                state._apiCache.set(cacheKey, data, { etag, tags: cacheTags });
+              }
+              return data;
+            });
+        });
+    },
+
+    invalidateApiCache: function(state, filter = {}) {
+      const cache = state._apiCache;
+      if (!cache) return 0;
+
+      const byDimension = 'dimensionId' in filter;
+      const nodeIds = new Set(filter.nodeIds || []);
+
+      if (!byDimension && !nodeIds.size) {
+        const count = cache.size;
+        cache.clear();
+        return count;
+      }
+
+      return cache.invalidate(tags =>
+        (byDimension && 'dimensionId' in tags && tags.dimensionId === filter.dimensionId)
+        || (!!tags.nodeIds && tags.nodeIds.some(id => nodeIds.has(id)))
+      );
+    },
+
+    cancelApiRequests: function(state) {
+      state._apiControllers.forEach((unlink, controller) => {
+        unlink();
+        controller.abort();
+      });
+      state._apiControllers.clear();
+      state.infoElem.textContent = '';
+      return this;
+    },
+
+    initGraphFromApi: function(state, dimensionId, { signal } = {}) {
+      return this._loadDimension(dimensionId, signal, { methodName: 'initGraphFromApi' });
+    },
+
+    switchDimension: function(state, dimensionId, { signal } = {}) {
+      return this._loadDimension(dimensionId, signal, { methodName: 'switchDimension', transition: true });
+    },
+
+    currentDimension: function(state) {
+      return state._apiDimensionId;
+    },
+
+    // Load the graph of a dimension, replacing the current one, or transitioning from it
+    _loadDimension: function(state, dimensionId, signal, { methodName, transition = false }) {
+      // Supersede any pending requests, as their data belongs to the graph being replaced
+      this.cancelApiRequests();
+      state._expansionTracker.clear();
+      state._prefetchedIds.clear();
+      // Through the expansion states, so that the loading animations of the nodes staying in the graph are stopped
+      this._setExpansionState([...state._expansionStates.keys()], 'collapsed');
+      state._nodeRecency.clear();
+      this._releaseExpansionPins();
+      clearTimeout(state._dimensionTransitionTimer);
+      const controller = this._trackApiController(signal);
+
+      // The dimension only becomes the current one once its data is received
+      const previousDimensionId = state._apiDimensionId;
+      const enterDimension = () => {
+        if (state._apiDimensionId === dimensionId) return;
+        state._apiDimensionId = dimensionId;
+        state.onDimensionChange(dimensionId, previousDimensionId);
+      };
+
+      const { getNodeId, getSourceId, getTargetId } = getGraphIdGetters(state);
+      // Nodes of the previous graph not received yet, kept in place if received, faded out otherwise
+      const leaving = new Map(transition ? this.graphData().nodes.map(node => [getNodeId(node), node]) : []);
+      const previousLinks = transition ? this.graphData().links : [];
+      let savedLayout = null;
+      const loadedNodeIds = new Set();
+      let loaded = { nodes: [], links: [] };
+      let pendingLinks = []; // links waiting for their endpoints to arrive in a later chunk
+      let numChunks = 0;
+      // Rejected data must leave the current graph untouched, but links may reference nodes of later
+      // chunks: with apiValidation 'reject', the chunks are only appended once all are received and valid
+      const heldChunks = state.apiValidation === 'reject' ? [] : null;
+
+      const reportProgress = done => {
+        state.infoElem.textContent = done ? '' : `Loading... (${loaded.nodes.length} nodes)`;
+        state.onApiProgress({
+          nodes: loaded.nodes.length,
+          links: loaded.links.length,
+          chunks: numChunks,
+          done
+        }, methodName);
+      };
+
+      // The leaving nodes stay in the graph along with their links until the transition ends
+      const withLeaving = data => leaving.size ? {
+        nodes: data.nodes.concat([...leaving.values()]),
+        links: data.links.concat(previousLinks.filter(link => leaving.has(getSourceId(link)) || leaving.has(getTargetId(link))))
+      } : data;
+
+      const removeLeaving = () => {
+        const { nodes, links } = this.graphData();
+        const leavingNodes = new Set(leaving.values());
+        this.graphData({
+          nodes: nodes.filter(node => !leavingNodes.has(node)),
+          links: links.filter(link => !leaving.has(getSourceId(link)) && !leaving.has(getTargetId(link)))
+        });
+      };
+
+      const receiveChunk = chunk => {
+        if (controller.signal.aborted) throw createAbortError();
+
+        chunk = this._transformApiResponse(chunk, methodName);
+        // Links may reference nodes of later chunks, they're checked once all are received
+        chunk = this._validateApiData(chunk, { checkLinks: false, url: context.info().url });
+
+        heldChunks ? heldChunks.push(chunk) : appendChunk(chunk);
+      };
+
+      // Append each received chunk straight into the graph (the first one replaces it)
+      const appendChunk = chunk => {
+        if (controller.signal.aborted) throw createAbortError();
+
+        const diff = diffGraphData(loaded, {
+          nodes: chunk.nodes,
+          links: [...pendingLinks, ...(chunk.links || [])]
+        }, state);
+        const links = diff.links;
+
+        // Nodes of the previous graph keep their object, and so their position, with the new data
+        mergeExistingNodes([...leaving.values()], diff.nodes, 'replace', state);
+        const nodes = diff.nodes.map(node => leaving.get(getNodeId(node)) || node);
+        const entering = nodes.filter(node => !leaving.has(getNodeId(node)));
+        nodes.forEach(node => leaving.delete(getNodeId(node)));
+
+        nodes.forEach(node => loadedNodeIds.add(getNodeId(node)));
+        savedLayout && applyLayout(entering, savedLayout, getNodeId); // position new nodes before they are laid out
+
+        pendingLinks = [];
+        const readyLinks = [];
+        links.forEach(link => {
+          (loadedNodeIds.has(getSourceId(link)) && loadedNodeIds.has(getTargetId(link)) ? readyLinks : pendingLinks).push(link);
+        });
+
+        loaded = {
+          nodes: loaded.nodes.concat(nodes),
+          links: loaded.links.concat(readyLinks)
+        };
+        numChunks++;
+
+        enterDimension();
+        this.graphData(withLeaving(loaded));
+        transition && this._animateDimensionTransition(entering, 'in');
+        reportProgress(false);
+      };
+
+      const context = this._createAdapterContext(controller.signal, { dimensionId }, receiveChunk);
+
+      state.infoElem.textContent = 'Loading...';
+
+      const loadData = () => state.apiAdapter.init(dimensionId, context);
+
+      // Fetch the saved layout first, if any. Failing to do so never prevents loading the graph.
+      return (state.apiRestoreLayout && state.apiAdapter.loadLayout
+        ? this._fetchLayout(dimensionId, controller.signal)
+          .then(layout => { savedLayout = layout; }, error => { if (isAbortError(error)) throw error; })
+          .then(loadData)
+        : new Promise(resolve => resolve(loadData()))
+      )
         .then(data => {
-          this.graphData(data);
-          return data;
+          // Adapters may deliver the data in chunks, and/or resolve with (the rest of) it
+          (data || !(numChunks || (heldChunks && heldChunks.length))) && receiveChunk(data || { nodes: [], links: [] });
+
+          if (heldChunks) {
+            const receivedIds = new Set(heldChunks.flatMap(chunk => chunk.nodes.map(getNodeId)));
+            this._reportApiDataIssues(heldChunks.flatMap(chunk => chunk.links || [])
+              .filter(link => !receivedIds.has(getSourceId(link)) || !receivedIds.has(getTargetId(link)))
+              .map(link => ({
+                type: 'dangling-link',
+                id: receivedIds.has(getSourceId(link)) ? getTargetId(link) : getSourceId(link),
+                link
+              })), context.info().url);
+
+            heldChunks.forEach(appendChunk);
+          }
+
+          this._reportApiDataIssues(pendingLinks.map(link => ({
+            type: 'dangling-link',
+            id: loadedNodeIds.has(getSourceId(link)) ? getTargetId(link) : getSourceId(link),
+            link
+          })), context.info().url);
+
+          if (leaving.size) {
+            this._animateDimensionTransition([...leaving.values()], 'out')
+              ? (state._dimensionTransitionTimer = setTimeout(removeLeaving, state.dimensionTransitionDuration))
+              : removeLeaving();
+          }
+
+          reportProgress(true);
+          return loaded;
         })
         .catch(error => {
-          state.onApiError(error, 'initGraphFromApi');
+          !controller.signal.aborted && (state.infoElem.textContent = '');
+          state.onApiError(error, methodName, context.info());
           throw error;
+        })
+        .finally(() => this._releaseApiController(controller));
+    },
+
+    // Play the dimension transition animation on nodes entering or leaving the graph, returning whether it's played
+    _animateDimensionTransition: function(state, nodes, direction) {
+      const animation = state.dimensionTransitionAnimation;
+      if (!nodes.length || !animation || !(state.dimensionTransitionDuration > 0)
+        || !state._animationManager || !state._animationManager.hasAnimation(animation)) return false;
+
+      const options = { direction, duration: state.dimensionTransitionDuration / 1000 };
+      const animate = () => nodes
+        .filter(node => node.__threeObj)
+        .forEach(node => {
+          this.stopNodeAnimation(node, animation, true); // restart, e.g. nodes leaving while still entering
+          this.startNodeAnimation(node, animation, options);
         });
+
+      // Entering nodes get their three.js object once the graph data is digested
+      direction === 'in' ? state._finishUpdateCallbacks.push(animate) : animate();
+      return true;
     },
 
-    loadNextNodes: function(state, nodeIds) {
+    saveLayout: function(state, dimensionId = state._apiDimensionId) {
+      if (!state.apiAdapter.saveLayout) {
+        return Promise.reject(new Error('ForceGraph3D: the API adapter does not support layouts'));
+      }
+
+      const layout = getLayout(this.graphData().nodes, getGraphIdGetters(state).getNodeId);
+      // Not cancellable by initGraphFromApi, so that switching dimensions never loses a save
+      const context = this._createAdapterContext(undefined, { dimensionId });
+
+      return new Promise(resolve => resolve(state.apiAdapter.saveLayout(dimensionId, layout, context)))
+        .then(() => layout)
+        .catch(error => {
+          state.onApiError(error, 'saveLayout', context.info());
+          throw error;
+        });
+    },
+
+    loadLayout: function(state, dimensionId = state._apiDimensionId, { signal } = {}) {
+      if (!state.apiAdapter.loadLayout) {
+        return Promise.reject(new Error('ForceGraph3D: the API adapter does not support layouts'));
+      }
+
+      const controller = this._trackApiController(signal);
+
+      return this._fetchLayout(dimensionId, controller.signal)
+        .then(layout => {
+          if (layout) {
+            applyLayout(this.graphData().nodes, layout, getGraphIdGetters(state).getNodeId);
+            state.forceGraph.resetCountdown(); // render the new positions, even if the engine has stopped
+          }
+          return layout;
+        })
+        .finally(() => this._releaseApiController(controller));
+    },
+
+    // Fetch the saved layout of a dimension, resolving with null if there is none
+    _fetchLayout: function(state, dimensionId, signal) {
+      const context = this._createAdapterContext(signal, { dimensionId });
+
+      return new Promise(resolve => resolve(state.apiAdapter.loadLayout(dimensionId, context)))
+        .then(layout => {
+          if (signal.aborted) throw createAbortError();
+          if (layout !== null && layout !== undefined && !isLayout(layout)) {
+            throw new ApiValidationError('Invalid layout: expected an object with a nodes array', [], {
+              url: context.info().url,
+              body: layout
+            });
+          }
+          return layout || null;
+        })
+        .catch(error => {
+          state.onApiError(error, 'loadLayout', context.info());
+          throw error;
+        });
+    },
+
+    loadNextNodes: function(state, nodeIds, { signal, ...options } = {}) {
       if (!Array.isArray(nodeIds) || nodeIds.length === 0) {
         return Promise.resolve({ nodes: [], links: [] });
       }
 
-      const baseUrl = state.apiBaseUrl;
-      const endpoint = state.apiLoadNodesEndpoint;
-      const url = new URL(endpoint, baseUrl || window.location.origin);
+      let query;
+      try {
+        query = createExpansionQuery(options);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+      const queryKey = JSON.stringify(query);
 
-      const fetchOptions = {
-        ...state.apiFetchOptions,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...(state.apiFetchOptions.headers || {})
-        },
-        body: JSON.stringify({ nodeIds })
-      };
+      const controller = this._trackApiController(signal);
 
-      return fetch(url.toString(), fetchOptions)
-        .then(response => {
-          if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-          }
-          return response.json();
+      // Nothing is queued for callers cancelled already
+      if (controller.signal.aborted) {
+        this._releaseApiController(controller);
+        return Promise.reject(createAbortError());
+      }
+
+      // Skip ids already expanded, and share the batch of ids already queued or in flight with the same query
+      const batches = new Set();
+      nodeIds
+        .filter(id => !state._expansionTracker.isExpanded(id))
+        .forEach(id => {
+          const batch = state._expansionBatches.get(id);
+          batches.add(batch && !batch.controller.signal.aborted && batch.queryKey === queryKey
+            ? batch
+            : this._queueExpansion(id, query, queryKey)
+          );
+        });
+      batches.forEach(batch => batch.callers.add(controller));
+
+      const cancelled = new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => {
+          // Abort shared requests once none of their callers are waiting for them anymore
+          batches.forEach(batch => {
+            [...batch.callers].every(caller => caller.signal.aborted) && batch.controller.abort();
+          });
+          reject(createAbortError());
+        }, { once: true });
+      });
+
+      return Promise.race([Promise.all([...batches].map(batch => batch.promise)), cancelled])
+        .then(addedData => {
+          // Only resolve with the elements brought in by this caller's nodes
+          const { getNodeId } = getGraphIdGetters(state);
+          const linkKey = getLinkKeyFn(state);
+          const relevantNodeIds = new Set(nodeIds);
+          const relevantLinkKeys = new Set();
+          nodeIds.forEach(id => {
+            const expansion = state._expansionTracker.getExpansion(id);
+            if (expansion) {
+              expansion.nodeIds.forEach(nodeId => relevantNodeIds.add(nodeId));
+              expansion.linkKeys.forEach(key => relevantLinkKeys.add(key));
+            }
+          });
+
+          return {
+            nodes: addedData.flatMap(({ nodes }) => nodes).filter(node => relevantNodeIds.has(getNodeId(node))),
+            links: addedData.flatMap(({ links }) => links).filter(link => relevantLinkKeys.has(linkKey(link)))
+          };
         })
-        .then(newData => {
-          // Merge new nodes and links with existing graph data
-          const currentData = this.graphData();
-          const nodeIdAccessor = state.nodeId || 'id';
-          const getNodeId = typeof nodeIdAccessor === 'function'
-            ? nodeIdAccessor
-            : node => node[nodeIdAccessor];
-
-          const existingNodeIds = new Set(currentData.nodes.map(getNodeId));
-          const newNodes = (newData.nodes || []).filter(node => !existingNodeIds.has(getNodeId(node)));
-
-          const linkSourceAccessor = state.linkSource || 'source';
-          const linkTargetAccessor = state.linkTarget || 'target';
-          const getLinkSource = typeof linkSourceAccessor === 'function'
-            ? linkSourceAccessor
-            : link => link[linkSourceAccessor];
-          const getLinkTarget = typeof linkTargetAccessor === 'function'
-            ? linkTargetAccessor
-            : link => link[linkTargetAccessor];
-
-          const existingLinks = new Set(currentData.links.map(link => {
-            const sourceId = typeof getLinkSource(link) === 'object' ? getNodeId(getLinkSource(link)) : getLinkSource(link);
-            const targetId = typeof getLinkTarget(link) === 'object' ? getNodeId(getLinkTarget(link)) : getLinkTarget(link);
-            return `${sourceId}->${targetId}`;
-          }));
-
-          const newLinks = (newData.links || []).filter(link => {
-            const sourceId = getLinkSource(link);
-            const targetId = getLinkTarget(link);
-            return !existingLinks.has(`${sourceId}->${targetId}`);
+        .catch(error => {
+          const failedBatch = [...batches].find(batch => batch.error === error);
+          state.onApiError(error, 'loadNextNodes', {
+            ...(failedBatch ? failedBatch.info() : batches.size ? [...batches][0].info() : {}),
+            cancelled: controller.signal.aborted || !!(failedBatch && failedBatch.info().cancelled)
           });
+          throw error;
+        })
+        .finally(() => this._releaseApiController(controller));
+    },
+
+    searchNodes: function(state, query, { signal, focus = true, transitionDuration = 1000, padding = 10 } = {}) {
+      if (!state.apiAdapter.search) {
+        return Promise.reject(new Error('ForceGraph3D: the API adapter does not support search'));
+      }
+
+      const controller = this._trackApiController(signal);
+      const context = this._createAdapterContext(controller.signal, { search: query });
 
-          const mergedData = {
-            nodes: [...currentData.nodes, ...newNodes],
-            links: [...currentData.links, ...newLinks]
+      return new Promise(resolve => resolve(state.apiAdapter.search(query, context)))
+        .then(data => {
+          // Discard stale responses, i.e. cancelled while being parsed
+          if (controller.signal.aborted) throw createAbortError();
+
+          const { getNodeId } = getGraphIdGetters(state);
+          const linkKey = getLinkKeyFn(state);
+
+          const { received } = this._mergeApiData([{ data, url: context.info().url }], 'searchNodes');
+
+          // Resolve with the graph objects of the results, including the ones already in the graph
+          const receivedNodeIds = new Set(received.nodes.map(getNodeId));
+          const receivedLinkKeys = new Set(received.links.map(linkKey));
+          const { nodes, links } = this.graphData();
+          const results = {
+            nodes: nodes.filter(node => receivedNodeIds.has(getNodeId(node))),
+            links: links.filter(link => receivedLinkKeys.has(linkKey(link)))
           };
 
-          this.graphData(mergedData);
-          return { nodes: newNodes, links: newLinks };
+          // Fly to the results once laid out
+          focus && results.nodes.length && state._finishUpdateCallbacks.push(() =>
+            this.zoomToFit(transitionDuration, padding, node => receivedNodeIds.has(getNodeId(node)))
+          );
+
+          return results;
+        })
+        .catch(error => {
+          state.onApiError(error, 'searchNodes', context.info());
+          throw error;
         })
+        .finally(() => this._releaseApiController(controller));
+    },
+
+    prefetchNodes: function(state, nodeIds) {
+      if (!Array.isArray(nodeIds)) return Promise.resolve();
+
+      // Prefetched responses are only kept in the response cache
+      if (!state._apiCache) {
+        !state._prefetchWarned && console.warn('ForceGraph3D: Prefetching needs an apiCache to keep the responses, nothing prefetched');
+        state._prefetchWarned = true;
+        return Promise.resolve();
+      }
+
+      const ids = nodeIds.filter(id =>
+        !state._expansionTracker.isExpanded(id) && !state._expansionBatches.has(id) && !state._prefetches.has(id)
+      );
+
+      // One request per node, matching the requests of their own later expansion
+      return Promise.all(ids.map(id => {
+        const controller = this._trackApiController();
+        const context = Object.assign(this._createAdapterContext(controller.signal, { nodeIds: [id] }), { query: {} });
+
+        const prefetch = new Promise(resolve => resolve(state.apiAdapter.expand([id], context)))
+          .then(() => state._prefetchedIds.add(id))
+          .catch(() => {}) // best effort, failures are left to the actual expansion to report
+          .finally(() => {
+            state._prefetches.delete(id);
+            this._releaseApiController(controller);
+          });
+
+        state._prefetches.set(id, prefetch);
+        return prefetch;
+      })).then(() => {});
+    },
+
+    _queueExpansion: function(state, nodeId, query = {}, queryKey = '{}') {
+      const pendingBatches = state._pendingExpansionBatches;
+      let batch = pendingBatches.get(queryKey);
+
+      if (!batch || batch.controller.signal.aborted) {
+        // Open a new batch, sent once the batching window elapses
+        batch = {
+          nodeIds: [],
+          query,
+          queryKey,
+          callers: new Set(),
+          controller: this._trackApiController(),
+          error: null
+        };
+
+        pendingBatches.set(queryKey, batch);
+
+        batch.context = Object.assign(this._createAdapterContext(batch.controller.signal, { nodeIds: batch.nodeIds }), { query });
+        batch.info = batch.context.info;
+
+        batch.promise = wait(state.apiBatchWindow, batch.controller.signal)
+          .then(() => {
+            pendingBatches.get(queryKey) === batch && pendingBatches.delete(queryKey);
+            return this._fetchExpansion(batch);
+          })
+          .then(addedData => {
+            this._setExpansionState(batch.nodeIds, 'expanded');
+            return addedData;
+          })
+          .catch(error => {
+            batch.error = error;
+            this._setExpansionState(batch.nodeIds, batch.controller.signal.aborted ? 'collapsed' : 'failed');
+            throw error;
+          })
+          .finally(() => {
+            pendingBatches.get(queryKey) === batch && pendingBatches.delete(queryKey);
+            batch.nodeIds.forEach(id => state._expansionBatches.get(id) === batch && state._expansionBatches.delete(id));
+            this._releaseApiController(batch.controller);
+          });
+
+        batch.promise.catch(() => {}); // failures are reported to each caller
+      }
+
+      batch.nodeIds.push(nodeId);
+      state._expansionBatches.set(nodeId, batch);
+      this._setExpansionState([nodeId], 'loading');
+      return batch;
+    },
+
+    _fetchExpansion: function(state, batch) {
+      const { nodeIds, controller } = batch;
+
+      // Expand the prefetched nodes on their own, as prefetched, to be served from the cache
+      // once their pending prefetch completes. Only unqueried expansions match the prefetches.
+      const prefetchedIds = batch.queryKey === '{}'
+        ? nodeIds.filter(id => state._prefetches.has(id) || state._prefetchedIds.has(id))
+        : [];
+      const otherIds = nodeIds.filter(id => !prefetchedIds.includes(id));
+      prefetchedIds.forEach(id => state._prefetchedIds.delete(id));
+
+      const requests = [
+        ...prefetchedIds.map(id => ({
+          ids: [id],
+          context: Object.assign(this._createAdapterContext(controller.signal, { nodeIds: [id] }), { query: {} }),
+          prefetch: state._prefetches.get(id)
+        })),
+        ...(otherIds.length ? [{ ids: otherIds, context: batch.context }] : [])
+      ];
+
+      return Promise.all(requests.map(({ ids, context, prefetch }) => Promise.resolve(prefetch)
+        .then(() => state.apiAdapter.expand(ids, context))
         .catch(error => {
-          state.onApiError(error, 'loadNextNodes');
+          batch.info = context.info; // report the failed request
           throw error;
+        })
+      ))
+        .then(responses => {
+          // Discard stale responses, i.e. cancelled while being parsed
+          if (controller.signal.aborted) throw createAbortError();
+
+          return this._mergeApiData(
+            responses.map((data, idx) => ({ data, url: requests[idx].context.info().url })),
+            'loadNextNodes',
+            { expandedIds: nodeIds }
+          ).added;
         });
     },
 
+    // Merge API responses { data, url } into the graph at once, as brought in by expanding the given nodes (if any).
+    // All of them are validated first, so that rejecting one leaves the graph untouched.
+    _mergeApiData: function(state, responses, methodName, { expandedIds = [] } = {}) {
+      const currentData = this.graphData();
+      const { getNodeId } = getGraphIdGetters(state);
+
+      const received = responses.map(({ data, url }) => ({ data: this._transformApiResponse(data, methodName), url }));
+
+      // Links may reference the nodes of the other responses
+      const knownIds = new Set(currentData.nodes.map(getNodeId));
+      received.forEach(({ data }) => data && Array.isArray(data.nodes) && data.nodes.forEach(node => {
+        const id = node ? getNodeId(node) : undefined;
+        id !== undefined && id !== null && knownIds.add(id);
+      }));
+
+      const newData = received
+        .map(({ data, url }) => this._validateApiData(data, { knownIds, url }))
+        .reduce((merged, data) => ({
+          nodes: merged.nodes.concat(data.nodes),
+          links: merged.links.concat(data.links || [])
+        }), { nodes: [], links: [] });
+
+      // Merge new nodes and links with existing graph data
+      const { nodes: newNodes, links: newLinks } = diffGraphData(currentData, newData, state);
+      expandedIds.length && this._trackExpansion(expandedIds, newData, { nodes: newNodes, links: newLinks });
+
+      this._seedExpansionPositions(expandedIds, newData, newNodes);
+      this._pinExistingNodes(currentData.nodes);
+
+      // Refresh the data of nodes already in the graph, their visuals being re-evaluated on digest
+      mergeExistingNodes(currentData.nodes, newData.nodes, state.apiNodeMergeStrategy, state);
+
+      // The budget protects the expanded nodes, or else all the received ones (e.g. search results)
+      const { data: mergedData, evicted } = this._applyNodeBudget({
+        nodes: [...currentData.nodes, ...newNodes],
+        links: [...currentData.links, ...newLinks]
+      }, expandedIds.length ? expandedIds : newData.nodes.map(getNodeId), newNodes);
+
+      this.graphData(mergedData);
+      evicted.nodes.length && state.onNodesEvicted(evicted);
+      return { added: { nodes: newNodes, links: newLinks }, received: newData };
+    },
+
+    _seedExpansionPositions: function(state, expandedIds, responseData, newNodes) {
+      if (!(state.expansionSeedRadius > 0) || !newNodes.length) return;
+
+      const { getNodeId, getSourceId, getTargetId } = getGraphIdGetters(state);
+      const expandedNodes = new Map(this.graphData().nodes
+        .filter(node => expandedIds.includes(getNodeId(node)))
+        .map(node => [getNodeId(node), node]));
+
+      // Start each new node next to the expanded nodes it is linked to, or else next to all of them
+      const parents = new Map();
+      const addParent = (id, parentId) => {
+        !parents.has(id) && parents.set(id, []);
+        parents.get(id).push(expandedNodes.get(parentId));
+      };
+      (responseData.links || []).forEach(link => {
+        const source = getSourceId(link);
+        const target = getTargetId(link);
+        expandedNodes.has(source) && addParent(target, source);
+        expandedNodes.has(target) && addParent(source, target);
+      });
+
+      seedPositions(
+        newNodes,
+        node => parents.get(getNodeId(node)) || [...expandedNodes.values()],
+        state.expansionSeedRadius,
+        this.numDimensions()
+      );
+    },
+
+    _pinExistingNodes: function(state, nodes) {
+      if (!(state.expansionPinDuration > 0)) return;
+
+      // Pin nodes at their current position, unless already pinned
+      nodes
+        .filter(node => node.x !== undefined && node.fx == null && !state._expansionPins.has(node))
+        .forEach(node => {
+          const pin = { fx: node.x, fy: node.y, fz: node.z };
+          Object.assign(node, pin);
+          state._expansionPins.set(node, pin);
+        });
+
+      clearTimeout(state._expansionPinTimer);
+      state._expansionPinTimer = setTimeout(() => this._releaseExpansionPins(), state.expansionPinDuration);
+    },
+
+    _releaseExpansionPins: function(state) {
+      clearTimeout(state._expansionPinTimer);
+      state._expansionPinTimer = null;
+
+      // Leave the nodes that were pinned elsewhere in the meantime (e.g. dragged)
+      state._expansionPins.forEach((pin, node) => ['fx', 'fy', 'fz'].forEach(attr => {
+        node[attr] === pin[attr] && (node[attr] = undefined);
+      }));
+      state._expansionPins.clear();
+    },
+
+    nodeExpansionState: function(state, node) {
+      const id = node !== null && typeof node === 'object' ? getGraphIdGetters(state).getNodeId(node) : node;
+      return state._expansionStates.get(id) || 'collapsed';
+    },
+
+    toggleNodeExpansion: function(state, node) {
+      const id = node !== null && typeof node === 'object' ? getGraphIdGetters(state).getNodeId(node) : node;
+
+      switch (this.nodeExpansionState(id)) {
+        case 'loading':
+          break; // wait for the pending request
+        case 'expanded':
+          this.collapseNodes([id]);
+          break;
+        default:
+          // Failures are reported to onApiError, and reflected in the node expansion state
+          this.loadNextNodes([id]).catch(() => {});
+      }
+
+      return this;
+    },
+
+    // Install the node object accessor of the forcegraph, using the factory for nodes of a registered type
+    _updateNodeObjectAccessor: function(state) {
+      const factory = state.nodeObjectFactory;
+      const accessor = state.nodeThreeObject;
+
+      // Factory accessors use their own factory
+      if (accessor && accessor.__nodeObjectFactory) {
+        state.forceGraph.nodeThreeObject(accessor);
+        return;
+      }
+
+      // Objects shared by all nodes are cloned for each one
+      const fallback = accessor && accessor.isObject3D ? () => accessor.clone() : accessor && accessorFn(accessor);
+
+      const source = getNodeObjectSource(state);
+      state.forceGraph.nodeThreeObject(factory
+        ? factory.createAccessor(source.THREE, fallback, source.typeAttribute, source.getNodeId)
+        : accessor
+      );
+    },
+
+    // Release the node object factory objects of nodes that left the graph, or got another object (e.g. of another type)
+    _syncFactoryObjects: function(state, nodes = this.graphData().nodes, factory = getNodeObjectFactory(state)) {
+      const factoryObjects = new Map(); // by node id, as tracked by the factory
+      const { getNodeId } = getNodeObjectSource(state) || getGraphIdGetters(state);
+
+      factory && nodes.forEach(node => {
+        const obj = node.__threeObj;
+        const nodeId = getNodeId(node);
+        const factoryObj = obj && factory.getActiveObject(nodeId);
+
+        // The factory object may extend the default one (nodeThreeObjectExtend)
+        factoryObj && (factoryObj === obj || (obj.children || []).includes(factoryObj)) && factoryObjects.set(nodeId, factoryObj);
+      });
+
+      factory && state._factoryObjects.forEach((obj, nodeId) => {
+        if (factoryObjects.get(nodeId) === obj) return;
+
+        // Pooled objects must not be animated anymore, which would alter their shared material
+        state._animationManager && state._animationManager.stopAllAnimations(obj, true);
+        factory.releaseObject(nodeId, obj);
+      });
+      state._factoryObjects = factoryObjects;
+    },
+
+    _setExpansionState: function(state, nodeIds, expansionState) {
+      const { getNodeId } = getGraphIdGetters(state);
+      const changedIds = new Map(); // id → previous state
+
+      nodeIds.forEach(id => {
+        const prevState = state._expansionStates.get(id) || 'collapsed';
+        if (prevState === expansionState) return;
+        expansionState === 'collapsed' ? state._expansionStates.delete(id) : state._expansionStates.set(id, expansionState);
+        changedIds.set(id, prevState);
+      });
+
+      if (!changedIds.size) return;
+
+      // Animate the nodes while they are loading
+      const animation = state.expandLoadingAnimation;
+      if (animation && state._animationManager && state._animationManager.hasAnimation(animation)) {
+        this.graphData().nodes
+          .filter(node => node.__threeObj && changedIds.has(getNodeId(node)))
+          .forEach(node => {
+            if (expansionState === 'loading') {
+              this.startNodeAnimation(node, animation, state.expandLoadingAnimationOptions);
+            } else if (changedIds.get(getNodeId(node)) === 'loading') {
+              this.stopNodeAnimation(node, animation);
+            }
+          });
+      }
+
+      // Re-evaluate the node visuals, which may depend on nodeExpansionState
+      this.nodeColor(this.nodeColor());
+    },
+
+    _applyNodeBudget: function(state, data, expandedIds, newNodes) {
+      const { getNodeId, getSourceId, getTargetId } = getGraphIdGetters(state);
+      const noEviction = { data, evicted: { nodes: [], links: [] } };
+
+      // The nodes involved in this expansion become the most recent ones
+      const involvedIds = new Set([...expandedIds, ...newNodes.map(getNodeId)]);
+      const seq = ++state._expansionSeq;
+      involvedIds.forEach(id => state._nodeRecency.set(id, seq));
+
+      const excess = data.nodes.length - state.maxNodes;
+      if (!(state.maxNodes > 0) || excess <= 0) return noEviction;
+
+      // Never evict the nodes involved in this expansion, nor those still loading
+      const candidates = data.nodes.filter(node => {
+        const id = getNodeId(node);
+        return !involvedIds.has(id) && state._expansionStates.get(id) !== 'loading';
+      });
+
+      const focus = state.evictionFocusNode;
+      const evictedNodes = selectNodesToEvict(candidates, excess, state.evictionPolicy, {
+        getNodeId,
+        recency: state._nodeRecency,
+        links: data.links.map(link => ({ source: getSourceId(link), target: getTargetId(link) })),
+        focusIds: focus !== null && focus !== undefined
+          ? [typeof focus === 'object' ? getNodeId(focus) : focus]
+          : expandedIds
+      });
+      if (!evictedNodes.length) return noEviction;
+
+      const evictedIds = new Set(evictedNodes.map(getNodeId));
+      const isEvictedLink = link => evictedIds.has(getSourceId(link)) || evictedIds.has(getTargetId(link));
+      const evicted = { nodes: evictedNodes, links: data.links.filter(isEvictedLink) };
+
+      state._expansionTracker.forget([...evictedIds], evicted.links.map(getLinkKeyFn(state)));
+      evictedIds.forEach(id => {
+        state._expansionStates.delete(id);
+        state._nodeRecency.delete(id);
+      });
+
+      return {
+        data: {
+          nodes: data.nodes.filter(node => !evictedIds.has(getNodeId(node))),
+          links: data.links.filter(link => !isEvictedLink(link))
+        },
+        evicted
+      };
+    },
+
+    _trackExpansion: function(state, expandedIds, responseData, addedData) {
+      const tracker = state._expansionTracker;
+      const { getNodeId, getSourceId, getTargetId } = getGraphIdGetters(state);
+      const linkKey = getLinkKeyFn(state);
+
+      // Only reference elements brought in by expansions, leaving the rest of the graph untouched
+      const addedNodeIds = new Set(addedData.nodes.map(getNodeId));
+      const addedLinkKeys = new Set(addedData.links.map(linkKey));
+
+      tracker.addExpansion(
+        expandedIds,
+        (responseData.nodes || []).map(getNodeId)
+          .filter(id => addedNodeIds.has(id) || tracker.isTrackedNode(id)),
+        (responseData.links || []).map(link => ({ key: linkKey(link), source: getSourceId(link), target: getTargetId(link) }))
+          .filter(({ key }) => addedLinkKeys.has(key) || tracker.isTrackedLink(key))
+      );
+    },
+
+    collapseNodes: function(state, nodeIds) {
+      if (!Array.isArray(nodeIds) || nodeIds.length === 0) {
+        return { nodes: [], links: [] };
+      }
+
+      const { nodeIds: removedNodeIds, linkKeys: removedLinkKeys } = state._expansionTracker.collapse(nodeIds);
+      this._setExpansionState(nodeIds.filter(id => state._expansionStates.get(id) === 'expanded'), 'collapsed');
+      removedNodeIds.forEach(id => state._expansionStates.delete(id));
+
+      const { getNodeId, getSourceId, getTargetId } = getGraphIdGetters(state);
+      const linkKey = getLinkKeyFn(state);
+      const isRemovedNode = node => removedNodeIds.has(getNodeId(node));
+      const isRemovedLink = link => removedLinkKeys.has(linkKey(link))
+        || removedNodeIds.has(getSourceId(link))
+        || removedNodeIds.has(getTargetId(link));
+
+      const { nodes, links } = this.graphData();
+      const removed = {
+        nodes: nodes.filter(isRemovedNode),
+        links: links.filter(isRemovedLink)
+      };
+
+      if (removed.nodes.length || removed.links.length) {
+        this.graphData({
+          nodes: nodes.filter(node => !isRemovedNode(node)),
+          links: links.filter(link => !isRemovedLink(link))
+        });
+      }
+
+      return removed;
+    },
+
+    connectLiveUpdates: function(state) {
+      this.disconnectLiveUpdates();
+
+      if (!state.apiLiveUrl) {
+        console.warn('ForceGraph3D: No apiLiveUrl configured, live updates not connected');
+        return this;
+      }
+
+      const url = new URL(state.apiLiveUrl, state.apiBaseUrl || window.location.origin).toString();
+      state._liveChannel = new LiveUpdatesChannel(url, {
+        reconnectDelay: state.apiLiveReconnectDelay,
+        onDeltas: deltas => this._applyLiveDeltas(deltas),
+        onError: (error, info) => state.onApiError(error, 'connectLiveUpdates', info)
+      });
+      state._liveChannel.connect();
+
+      return this;
+    },
+
+    disconnectLiveUpdates: function(state) {
+      state._liveChannel && state._liveChannel.close();
+      state._liveChannel = null;
+      return this;
+    },
+
+    isLiveConnected: function(state) {
+      return !!state._liveChannel && state._liveChannel.connected;
+    },
+
+    _applyLiveDeltas: function(state, deltas) {
+      const { data, changes } = applyGraphDeltas(this.graphData(), deltas, state);
+
+      // Added nodes count against the budget like expanded ones, and are never evicted themselves
+      const { getNodeId } = getGraphIdGetters(state);
+      const { data: budgetedData, evicted } = changes.added.nodes.length
+        ? this._applyNodeBudget(data, changes.added.nodes.map(getNodeId), changes.added.nodes)
+        : { data, evicted: { nodes: [], links: [] } };
+
+      // Re-digest even for in-place updates, so that the node and link visuals are re-evaluated
+      const hasChanges = Object.values(changes).some(({ nodes, links }) => nodes.length || links.length);
+      hasChanges && this.graphData(budgetedData);
+
+      evicted.nodes.length && state.onNodesEvicted(evicted);
+      state.onLiveUpdate(changes, deltas);
+    },
+
     ...linkedFGMethods,
     ...linkedRenderObjsMethods
   },
@@ -535,11 +1530,32 @@ export default Kapsule({
           new three.DirectionalLight(0xffffff, 0.6 * Math.PI)
         ]),
       _animationManager: animationManager, // Use singleton animation manager by default
-      _lastFrameTime: null
+      _factoryObjects: new Map(), // Displayed node objects created by the node object factory, by node id
+      _lastFrameTime: null,
+      _apiControllers: new Map(), // Abort controllers of in-flight API requests → function unlinking them from their caller's signal
+      _expansionTracker: new ExpansionTracker(),
+      _expansionBatches: new Map(), // Queued or in-flight loadNextNodes batch, by node id
+      _expansionStates: new Map(), // Expansion state ('loading', 'expanded' or 'failed') by node id, if not collapsed
+      _nodeRecency: new Map(), // Sequence number of the last expansion involving each node, by node id
+      _expansionSeq: 0,
+      _pendingExpansionBatches: new Map(), // Batches still collecting node ids, by expansion query
+      _finishUpdateCallbacks: [], // Callbacks invoked once, after the next graph data digest
+      _apiDimensionId: undefined, // Dimension of the last graph loaded by initGraphFromApi / switchDimension
+      _dimensionTransitionTimer: null, // Removal of the nodes leaving on switchDimension
+      _prefetches: new Map(), // Pending prefetch of the neighbourhood of nodes, by node id
+      _prefetchedIds: new Set(), // Nodes prefetched since, whose expansion is requested as prefetched
+      _prefetchWarned: false, // Whether prefetching without apiCache was already warned about
+      _prefetchTimer: null, // Hover delay before prefetching
+      _apiCache: null, // Response cache, if enabled
+      _apiAuthRefreshing: null, // Pending apiAuthRefresh call, shared by requests rejected with a 401
+      _liveChannel: null, // Live updates channel, while connected
+      _expansionPins: new Map(), // Pins set on existing nodes while expanded ones settle, by node
+      _expansionPinTimer: null,
+      _nodeObjectFactorySet: false // Whether nodeObjectFactory was set before init
     }
   },
 
-  init: function(domNode, state) {
+  init: function(domNode, state, { nodeObjectFactory: configFactory }) {
     // Wipe DOM
     domNode.innerHTML = '';
 
@@ -562,6 +1578,15 @@ export default Kapsule({
     state.container.appendChild(infoElem = document.createElement('div'));
     infoElem.className = 'graph-info-msg';
     infoElem.textContent = '';
+    state.infoElem = infoElem;
+
+    // Per-graph node object factory, so that the objects of graphs sharing node ids are tracked apart,
+    // unless one is given in the config or was set beforehand
+    if (configFactory !== undefined) {
+      this.nodeObjectFactory(configFactory);
+    } else if (!state._nodeObjectFactorySet) {
+      this.nodeObjectFactory(new NodeObjectFactory({ parent: nodeObjectFactory }));
+    }
 
     // config forcegraph
     state.forceGraph
@@ -699,6 +1724,17 @@ export default Kapsule({
             renderer.domElement.classList.remove('grabbable');
           });
         }
+
+        this._syncFactoryObjects();
+
+        // The default node materials are shared by color, so animations get copies of them
+        state.graphData.nodes.forEach(node => {
+          const obj = node.__threeObj;
+          obj && obj.__graphDefaultObj && markSharedMaterial(obj.material);
+        });
+
+        // Run the callbacks waiting for the new graph data to be laid out, e.g. to focus search results
+        state._finishUpdateCallbacks.splice(0).forEach(callback => callback());
       });
 
     // config renderObjs
@@ -757,9 +1793,18 @@ export default Kapsule({
             }
           }
 
+          // Prefetch the neighbourhood of nodes hovered long enough
+          clearTimeout(state._prefetchTimer);
+          if (state.prefetchOnHover && hoverObj && objType === 'node') {
+            state._prefetchTimer = setTimeout(
+              () => this.prefetchNodes([getGraphIdGetters(state).getNodeId(objData)]),
+              state.prefetchHoverDelay
+            );
+          }
+
           // set pointer if hovered object is clickable
           renderer.domElement.classList[
-            ((hoverObj && state[`on${objType === 'node' ? 'Node' : 'Link'}Click`]) || (!hoverObj && state.onBackgroundClick)) &&
+            ((hoverObj && (state[`on${objType === 'node' ? 'Node' : 'Link'}Click`] || (objType === 'node' && state.expandOnNodeClick))) || (!hoverObj && state.onBackgroundClick)) &&
             accessorFn(state.showPointerCursor)(objData) ? 'add' : 'remove'
           ]('clickable');
 
@@ -770,6 +1815,8 @@ export default Kapsule({
       .onClick((obj, ev) => {
         const graphObj = getGraphObj(obj);
         if (graphObj) {
+          graphObj.__graphObjType === 'node' && state.expandOnNodeClick && this.toggleNodeExpansion(graphObj.__data);
+
           const fn = state[`on${graphObj.__graphObjType === 'node' ? 'Node' : 'Link'}Click`];
           fn && fn(graphObj.__data, ev);
         } else {
@@ -804,3 +1851,21 @@ function getGraphObj(object) {
   }
   return obj;
 }
+
+function getNodeObjectFactory(state) {
+  const source = getNodeObjectSource(state);
+  return source && source.factory;
+}
+
+// The factory making the node objects, with the THREE reference, type attribute and node id getter
+// it's used with: that of a factory accessor (createAccessor) given as nodeThreeObject, or else the
+// graph's factory, tracking the objects by the graph's node ids
+function getNodeObjectSource(state, accessor = state.nodeThreeObject, factory = state.nodeObjectFactory) {
+  if (accessor && accessor.__nodeObjectFactory) return accessor.__nodeObjectFactory;
+  return factory ? {
+    factory,
+    THREE: factory.getTHREE() || three,
+    typeAttribute: 'nodeThreeObjectType',
+    getNodeId: node => getGraphIdGetters(state).getNodeId(node) // the nodeId accessor may change
+  } : null;
+}
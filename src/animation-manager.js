@@ -7,6 +7,7 @@
  */
 
 import { getEasing } from './animations/easing.js';
+import { ownMaterial, restoreSharedMaterial, disposeOwnMaterial } from './shared-materials.js';
 
 // Use WeakMap to track animations by object reference (allows GC)
 const objectAnimations = new WeakMap();
@@ -27,6 +28,31 @@ let animationIdCounter = 0;
  * @property {Object} initialValues - Original object values for restoration
  */
 
+// Material properties that animations may change, for restoration
+function getMaterialValues(mat) {
+  return {
+    emissive: mat.emissive?.clone(),
+    emissiveIntensity: mat.emissiveIntensity,
+    opacity: mat.opacity,
+    color: mat.color?.clone()
+  };
+}
+
+function setMaterialValues(mat, values) {
+  if (values.emissive && mat.emissive) {
+    mat.emissive.copy(values.emissive);
+  }
+  if (values.emissiveIntensity !== undefined) {
+    mat.emissiveIntensity = values.emissiveIntensity;
+  }
+  if (values.opacity !== undefined) {
+    mat.opacity = values.opacity;
+  }
+  if (values.color && mat.color) {
+    mat.color.copy(values.color);
+  }
+}
+
 class AnimationManager {
   constructor() {
     // Registry of animation types: name → { update, defaultOptions, init?, cleanup? }
@@ -138,12 +164,10 @@ class AnimationManager {
     // Resolve easing function
     mergedOptions.easingFn = getEasing(mergedOptions.easing);
 
-    // Initialize animation state
-    const initialState = animType.init
-      ? animType.init(object, mergedOptions)
-      : {};
+    // Animate a copy of a shared material, which would animate all the objects sharing it otherwise
+    object.material && ownMaterial(object);
 
-    // Store initial values for restoration
+    // Store initial values for restoration, before the animation init alters them
     const initialValues = {
       scale: object.scale.clone(),
       rotation: object.rotation.clone(),
@@ -152,15 +176,14 @@ class AnimationManager {
 
     // Store material properties if available
     if (object.material) {
-      const mat = object.material;
-      initialValues.material = {
-        emissive: mat.emissive?.clone(),
-        emissiveIntensity: mat.emissiveIntensity,
-        opacity: mat.opacity,
-        color: mat.color?.clone()
-      };
+      initialValues.material = getMaterialValues(object.material);
     }
 
+    // Initialize animation state
+    const initialState = animType.init
+      ? animType.init(object, mergedOptions)
+      : {};
+
     // Create animation instance
     const instance = {
       id: ++animationIdCounter,
@@ -215,8 +238,7 @@ class AnimationManager {
 
     // Remove object from set if no more animations
     if (animations.length === 0) {
-      this._animatedObjects.delete(object);
-      objectAnimations.delete(object);
+      this._releaseObject(object);
     }
   }
 
@@ -306,6 +328,9 @@ class AnimationManager {
       const animations = objectAnimations.get(object);
       if (!animations) continue;
 
+      // The object may have been given a shared material meanwhile (e.g. by the forcegraph)
+      object.material && ownMaterial(object);
+
       // Process animations in reverse order for safe removal
       for (let i = animations.length - 1; i >= 0; i--) {
         const anim = animations[i];
@@ -365,12 +390,22 @@ class AnimationManager {
 
       // Clean up object if no more animations
       if (animations.length === 0) {
-        this._animatedObjects.delete(object);
-        objectAnimations.delete(object);
+        this._releaseObject(object);
       }
     }
   }
 
+  /**
+   * Stop tracking an object without animations anymore, and give it its shared material
+   * back if its copy has been restored to the same values
+   * @private
+   */
+  _releaseObject(object) {
+    this._animatedObjects.delete(object);
+    objectAnimations.delete(object);
+    object.material && restoreSharedMaterial(object);
+  }
+
   /**
    * Clean up an animation and restore initial values
    * @private
@@ -395,23 +430,47 @@ class AnimationManager {
       // Note: position is typically managed by force graph, don't restore
 
       if (initial.material && object.material) {
-        const mat = object.material;
-        if (initial.material.emissive && mat.emissive) {
-          mat.emissive.copy(initial.material.emissive);
-        }
-        if (initial.material.emissiveIntensity !== undefined) {
-          mat.emissiveIntensity = initial.material.emissiveIntensity;
-        }
-        if (initial.material.opacity !== undefined) {
-          mat.opacity = initial.material.opacity;
-        }
-        if (initial.material.color && mat.color) {
-          mat.color.copy(initial.material.color);
-        }
+        setMaterialValues(object.material, initial.material);
       }
     }
   }
 
+  /**
+   * Apply an in-place update (e.g. of the geometry or material) to an object, so that its
+   * running animations carry on and restore the updated values instead of the previous ones
+   * when they stop. The animated values of the previous material are restored first, and a new
+   * shared material is replaced by a copy of its own, as for starting animations.
+   * @param {THREE.Object3D} object - The object to update
+   * @param {Function} updateFn - Function updating the object
+   * @returns {*} The result of updateFn
+   */
+  applyUpdate(object, updateFn) {
+    const animations = object ? objectAnimations.get(object) : null;
+    if (!animations || animations.length === 0) return updateFn();
+
+    // In reverse, so that the values from before the first animation win
+    if (object.material) {
+      for (let i = animations.length - 1; i >= 0; i--) {
+        const initial = animations[i].initialValues;
+        initial && initial.material && setMaterialValues(object.material, initial.material);
+      }
+    }
+
+    const prevMaterial = object.material;
+    const result = updateFn();
+
+    if (object.material !== prevMaterial) {
+      disposeOwnMaterial(prevMaterial);
+      object.material && ownMaterial(object);
+    }
+
+    animations.forEach(anim => {
+      anim.initialValues && (anim.initialValues.material = object.material ? getMaterialValues(object.material) : undefined);
+    });
+
+    return result;
+  }
+
   /**
    * Get statistics about current animations
    * @returns {Object} Stats object
@@ -0,0 +1,80 @@
+/**
+ * Fade Animation
+ *
+ * Grows an object in from nothing, or shrinks it out of sight, while fading its
+ * material in or out. Plays once, e.g. as nodes enter or leave the graph. Shared
+ * materials are copied on write by the AnimationManager.
+ */
+
+export const name = 'fade';
+
+export const defaultOptions = {
+  direction: 'in',        // 'in' to appear, 'out' to disappear
+  loop: false,
+  duration: 0.5,          // Duration in seconds
+  easing: 'easeOutCubic'
+};
+
+/**
+ * Initialize fade animation state
+ * @param {THREE.Object3D} object - The object to animate
+ * @param {Object} options - Animation options
+ * @returns {Object} Initial state
+ */
+export function init(object, options) {
+  const material = object.material;
+  const state = {
+    elapsed: 0,
+    baseScale: object.scale.clone(),
+    hasMaterial: !!material && !Array.isArray(material),
+    baseOpacity: 1,
+    transparent: false
+  };
+
+  if (state.hasMaterial) {
+    state.baseOpacity = material.opacity;
+    state.transparent = material.transparent;
+    material.transparent = true;
+  }
+
+  return state;
+}
+
+/**
+ * Update fade animation
+ * @param {THREE.Object3D} object - The object being animated
+ * @param {Object} state - Current animation state
+ * @param {number} deltaTime - Time since last frame (seconds)
+ * @param {Object} options - Animation options
+ * @returns {Object} Updated state
+ */
+export function update(object, state, deltaTime, options) {
+  state.elapsed += deltaTime;
+
+  const progress = options.easingFn(Math.min(1, state.elapsed / options.duration));
+  const visibility = options.direction === 'out' ? 1 - progress : progress;
+
+  // Never scale down to 0, which makes the object matrix non-invertible
+  const scale = Math.max(visibility, 1e-3);
+  object.scale.x = state.baseScale.x * scale;
+  object.scale.y = state.baseScale.y * scale;
+  object.scale.z = state.baseScale.z * scale;
+  state.hasMaterial && object.material && (object.material.opacity = state.baseOpacity * visibility);
+
+  return state;
+}
+
+/**
+ * Cleanup - restore the transparency of the material
+ * @param {THREE.Object3D} object - The object
+ * @param {Object} state - Animation state
+ * @param {Object} options - Animation options
+ */
+export function cleanup(object, state, options) {
+  if (state.hasMaterial && object.material) {
+    object.material.transparent = state.transparent;
+  }
+  // Scale and opacity will be restored by AnimationManager from initialValues
+}
+
+export default { name, defaultOptions, init, update, cleanup };
@@ -11,12 +11,14 @@ import animationManager from '../animation-manager.js';
 import * as pulse from './pulse.js';
 import * as spin from './spin.js';
 import * as glow from './glow.js';
+import * as fade from './fade.js';
 
 // Collection of all built-in animations
 export const builtInAnimations = {
   pulse,
   spin,
-  glow
+  glow,
+  fade
 };
 
 /**
@@ -35,4 +37,4 @@ export function registerBuiltInAnimations(manager = animationManager) {
 }
 
 // Re-export individual animations for direct import
-export { pulse, spin, glow };
+export { pulse, spin, glow, fade };
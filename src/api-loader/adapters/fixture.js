@@ -0,0 +1,150 @@
+/**
+ * Fixture Adapter
+ *
+ * Serves the API loader from an in-memory full graph instead of a server, e.g.
+ * for offline development or tests. Neighbourhoods and searches are computed
+ * locally (honouring the depth, direction, linkTypes and limit expansion
+ * options), layouts are kept in memory, and the latency and failures of a real
+ * server can be simulated. Requests don't go through fetch, so the graph's
+ * timeout, retries and response cache don't apply.
+ */
+
+import { getGraphIdGetters } from '../merge.js';
+import { wait } from '../request.js';
+import { ApiHttpError } from '../errors.js';
+
+/**
+ * Create a fixture adapter
+ * @param {Object|Function} data - The full graph { nodes, links }, or Function(dimensionId) returning it
+ * @param {Object} [config] - Adapter configuration
+ * @param {Array|Function} [config.initNodeIds] - Ids of the nodes of the initial graph, or Function(dimensionId)
+ * returning them. The whole graph is served by default.
+ * @param {number|number[]} [config.latency=0] - Simulated response time in ms, or [min, max] range
+ * @param {number} [config.failureRate=0] - Probability (0 to 1) of a request failing with a 503 error
+ * @param {string[]} [config.searchFields=['id', 'name']] - Node fields matched by searches
+ * @returns {{ init: Function, expand: Function, search: Function, loadLayout: Function, saveLayout: Function }}
+ */
+export function createFixtureAdapter(data, {
+  initNodeIds = null,
+  latency = 0,
+  failureRate = 0,
+  searchFields = ['id', 'name']
+} = {}) {
+  const layouts = new Map(); // by dimension id
+
+  // Expansions and searches use the current dimension of the requesting graph, so that graphs can share the adapter
+  const getData = dimensionId => typeof data === 'function' ? data(dimensionId) : data;
+
+  const idGetters = graph => getGraphIdGetters({
+    nodeId: graph.nodeId(),
+    linkSource: graph.linkSource(),
+    linkTarget: graph.linkTarget()
+  });
+
+  // Served copies, so that the graph never alters the fixture
+  const subgraph = (nodes, links) => ({
+    nodes: nodes.map(node => ({ ...node })),
+    links: links.map(link => ({ ...link }))
+  });
+
+  // Simulate the latency and failures of a server
+  const respond = (methodName, { signal }, produce) => {
+    const delay = Array.isArray(latency)
+      ? latency[0] + Math.random() * (latency[1] - latency[0])
+      : latency;
+
+    return wait(delay, signal).then(() => {
+      if (Math.random() < failureRate) {
+        throw new ApiHttpError(503, { url: `fixture:${methodName}`, body: 'Simulated failure' });
+      }
+      return produce();
+    });
+  };
+
+  return {
+    init(dimensionId, context) {
+      return respond('init', context, () => {
+        const { nodes, links } = getData(dimensionId);
+        const ids = typeof initNodeIds === 'function' ? initNodeIds(dimensionId) : initNodeIds;
+        if (!ids) return subgraph(nodes, links);
+
+        const { getNodeId, getSourceId, getTargetId } = idGetters(context.graph);
+        const idSet = new Set(ids);
+        return subgraph(
+          nodes.filter(node => idSet.has(getNodeId(node))),
+          links.filter(link => idSet.has(getSourceId(link)) && idSet.has(getTargetId(link)))
+        );
+      });
+    },
+
+    expand(nodeIds, context) {
+      return respond('expand', context, () => {
+        const { depth = 1, direction = 'both', linkTypes, limit } = context.query || {};
+        const { getNodeId, getSourceId, getTargetId } = idGetters(context.graph);
+        const { nodes, links } = getData(context.graph.currentDimension());
+
+        const types = linkTypes && new Set(linkTypes);
+        const followedLinks = links.filter(link => !types || types.has(link.type));
+
+        // Breadth-first walk of the neighbourhood, up to depth hops away
+        const visited = new Set(nodeIds);
+        const resultLinks = new Set();
+        let frontier = [...nodeIds];
+        for (let hop = 0; hop < depth && frontier.length; hop++) {
+          const next = [];
+          frontier.forEach(id => {
+            let numNeighbours = 0;
+            followedLinks.forEach(link => {
+              if (limit && numNeighbours >= limit) return;
+
+              const source = getSourceId(link);
+              const target = getTargetId(link);
+              const neighbour = direction !== 'in' && source === id ? target
+                : direction !== 'out' && target === id ? source
+                : undefined;
+              if (neighbour === undefined) return;
+
+              numNeighbours++;
+              resultLinks.add(link);
+              if (!visited.has(neighbour)) {
+                visited.add(neighbour);
+                next.push(neighbour);
+              }
+            });
+          });
+          frontier = next;
+        }
+
+        nodeIds.forEach(id => visited.delete(id));
+        return subgraph(nodes.filter(node => visited.has(getNodeId(node))), [...resultLinks]);
+      });
+    },
+
+    search(query, context) {
+      return respond('search', context, () => {
+        const { getNodeId, getSourceId, getTargetId } = idGetters(context.graph);
+        const { nodes, links } = getData(context.graph.currentDimension());
+        const text = String(query).toLowerCase();
+
+        // Matching nodes, with the links between them
+        const matches = nodes.filter(node => searchFields.some(field =>
+          node[field] !== undefined && node[field] !== null && String(node[field]).toLowerCase().includes(text)
+        ));
+        const matchIds = new Set(matches.map(getNodeId));
+
+        return subgraph(matches, links.filter(link => matchIds.has(getSourceId(link)) && matchIds.has(getTargetId(link))));
+      });
+    },
+
+    loadLayout(dimensionId, context) {
+      return respond('loadLayout', context, () => layouts.has(dimensionId)
+        ? JSON.parse(layouts.get(dimensionId))
+        : null
+      );
+    },
+
+    saveLayout(dimensionId, layout, context) {
+      return respond('saveLayout', context, () => { layouts.set(dimensionId, JSON.stringify(layout)); });
+    }
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * GraphQL Adapter
+ *
+ * Loads the graph from a GraphQL endpoint, using configurable queries for the
+ * initial load, node expansions and searches. Variables are built from the
+ * dimension id / node ids / search query by mapper functions, and the graph data
+ * ({ nodes, links }) is extracted from the response data by result mappers.
+ */
+
+/**
+ * Default result mapper: the response data itself if it holds nodes,
+ * otherwise its first field (e.g. { graph: { nodes, links } })
+ * @param {Object} data - The GraphQL response data
+ * @returns {{ nodes: Object[], links: Object[] }}
+ */
+function pickGraphData(data) {
+  return data && Array.isArray(data.nodes) ? data : Object.values(data || {})[0];
+}
+
+/**
+ * Create a GraphQL adapter
+ * @param {Object} config - Adapter configuration
+ * @param {string} [config.endpoint='/graphql'] - GraphQL endpoint, relative to apiBaseUrl
+ * @param {string} [config.initQuery] - Query loading the initial graph
+ * @param {string} [config.expandQuery] - Query loading the neighbourhood of nodes
+ * @param {string} [config.searchQuery] - Query loading the nodes matching a search, with their connecting context
+ * @param {Function} [config.initVariables] - Function(dimensionId) returning the init query variables
+ * @param {Function} [config.expandVariables] - Function(nodeIds, query) returning the expand query variables,
+ * query holding the loadNextNodes neighbourhood options (depth, direction, linkTypes, limit and params)
+ * @param {Function} [config.searchVariables] - Function(query) returning the search query variables
+ * @param {Function} [config.initResult] - Function(data) returning the graph data of the init query
+ * @param {Function} [config.expandResult] - Function(data) returning the graph data of the expand query
+ * @param {Function} [config.searchResult] - Function(data) returning the graph data of the search query
+ * @returns {{ init: Function, expand: Function, search: Function }}
+ */
+export function createGraphQLAdapter({
+  endpoint = '/graphql',
+  initQuery,
+  expandQuery,
+  searchQuery,
+  initVariables = dimensionId => ({ dimensionId }),
+  expandVariables = (nodeIds, query) => ({ nodeIds, ...query }),
+  searchVariables = query => ({ query }),
+  initResult = pickGraphData,
+  expandResult = pickGraphData,
+  searchResult = pickGraphData
+} = {}) {
+  const runQuery = (query, variables, { graph, fetchJson }) => {
+    const url = new URL(endpoint, graph.apiBaseUrl() || window.location.origin).toString();
+    const apiFetchOptions = graph.apiFetchOptions();
+
+    const fetchOptions = {
+      ...apiFetchOptions,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiFetchOptions.headers || {})
+      },
+      body: JSON.stringify({ query, variables })
+    };
+
+    // Check for errors while parsing, so that failed responses are never cached
+    return fetchJson(url, fetchOptions, {
+      parse: response => response.json().then(result => {
+        if (result.errors && result.errors.length) {
+          throw Object.assign(
+            new Error(`GraphQL error: ${result.errors.map(({ message }) => message).join('; ')}`),
+            { errors: result.errors }
+          );
+        }
+        return result.data;
+      })
+    });
+  };
+
+  return {
+    init(dimensionId, context) {
+      if (!initQuery) return Promise.reject(new Error('GraphQL adapter: no initQuery configured'));
+      return runQuery(initQuery, initVariables(dimensionId), context).then(initResult);
+    },
+
+    expand(nodeIds, context) {
+      if (!expandQuery) return Promise.reject(new Error('GraphQL adapter: no expandQuery configured'));
+      return runQuery(expandQuery, expandVariables(nodeIds, context.query || {}), context).then(expandResult);
+    },
+
+    search(query, context) {
+      if (!searchQuery) return Promise.reject(new Error('GraphQL adapter: no searchQuery configured'));
+      return runQuery(searchQuery, searchVariables(query), context).then(searchResult);
+    }
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * API Loader Adapters
+ *
+ * Adapters implement the transport used by the API loader. An adapter is an
+ * object with the following methods, all returning a Promise of graph data
+ * { nodes, links }:
+ *
+ *   init(dimensionId, context)  - load the initial graph
+ *   expand(nodeIds, context)    - load the neighbourhood of nodes
+ *   search(query, context)      - load the nodes matching a search (optional)
+ *
+ * and, to persist layouts (optional):
+ *
+ *   loadLayout(dimensionId, context)          - resolve with the saved layout, or null
+ *   saveLayout(dimensionId, layout, context)  - save a layout { nodes: [{ id, x, y, z, fx, fy, fz }] }
+ *
+ * The context provides the graph instance, the AbortSignal of the call, a
+ * fetchJson(url, fetchOptions, { cacheKey, parse, cache }) helper applying the
+ * graph's timeout, retries and response cache (unless cache is false), (for init only) an onChunk(data)
+ * callback to render partial data while the rest is still loading, and (for
+ * expand only) the query holding the loadNextNodes neighbourhood options.
+ */
+
+export { createRestAdapter } from './rest.js';
+export { createGraphQLAdapter } from './graphql.js';
+export { createFixtureAdapter } from './fixture.js';
@@ -0,0 +1,124 @@
+/**
+ * REST Adapter
+ *
+ * The default API loader adapter. Loads the initial graph with a GET request to
+ * {apiBaseUrl}{apiInitEndpoint}?dimensionId=..., following cursor-based pagination
+ * and NDJSON streams, and expands nodes with a POST request of { nodeIds } to
+ * {apiBaseUrl}{apiLoadNodesEndpoint}, along with the expansion query if any
+ * (e.g. { nodeIds, depth: 2, direction: 'out' }). Searches are sent as a GET
+ * request to {apiBaseUrl}{apiSearchEndpoint}?q=..., and layouts are loaded and
+ * saved with GET / PUT requests to {apiBaseUrl}{apiLayoutEndpoint}?dimensionId=...
+ */
+
+import { isNdjsonResponse, readNdjson, combineRecords } from '../stream.js';
+
+/**
+ * Create a REST adapter, configured through the graph's api* properties
+ * @returns {{ init: Function, expand: Function, search: Function, loadLayout: Function, saveLayout: Function }}
+ */
+export function createRestAdapter() {
+  const layoutUrl = (graph, dimensionId) => {
+    const url = new URL(graph.apiLayoutEndpoint(), graph.apiBaseUrl() || window.location.origin);
+    dimensionId !== undefined && url.searchParams.set('dimensionId', dimensionId);
+    return url.toString();
+  };
+
+  return {
+    init(dimensionId, { graph, fetchJson, onChunk }) {
+      const url = new URL(graph.apiInitEndpoint(), graph.apiBaseUrl() || window.location.origin);
+
+      if (dimensionId !== undefined) {
+        url.searchParams.set('dimensionId', dimensionId);
+      }
+
+      const fetchOptions = {
+        method: 'GET',
+        ...graph.apiFetchOptions()
+      };
+
+      // Follow cursor-based pagination until the server stops returning a next cursor
+      const fetchPage = cursor => {
+        const pageUrl = new URL(url);
+        if (cursor !== undefined) {
+          pageUrl.searchParams.set(graph.apiCursorParam(), cursor);
+        }
+
+        return fetchJson(pageUrl.toString(), fetchOptions, {
+          parse: response => isNdjsonResponse(response)
+            ? readNdjson(response, records => onChunk(combineRecords(records))).then(() => undefined)
+            : response.json()
+        })
+          .then(data => {
+            if (data === undefined) return; // streamed
+
+            onChunk(data);
+
+            const nextCursor = data[graph.apiNextCursorField()];
+            return nextCursor !== undefined && nextCursor !== null
+              ? fetchPage(nextCursor)
+              : undefined;
+          });
+      };
+
+      return fetchPage();
+    },
+
+    expand(nodeIds, { graph, fetchJson, query = {} }) {
+      const url = new URL(graph.apiLoadNodesEndpoint(), graph.apiBaseUrl() || window.location.origin).toString();
+      const apiFetchOptions = graph.apiFetchOptions();
+
+      const fetchOptions = {
+        ...apiFetchOptions,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiFetchOptions.headers || {})
+        },
+        body: JSON.stringify({ nodeIds, ...query })
+      };
+
+      // Key the cache by the set of ids, regardless of their order, and the query
+      const cacheKey = [`POST ${url}`, JSON.stringify([...nodeIds].sort())]
+        .concat(Object.keys(query).length ? JSON.stringify(query) : [])
+        .join(' ');
+
+      return fetchJson(url, fetchOptions, { cacheKey });
+    },
+
+    search(query, { graph, fetchJson }) {
+      const url = new URL(graph.apiSearchEndpoint(), graph.apiBaseUrl() || window.location.origin);
+      url.searchParams.set('q', query);
+
+      return fetchJson(url.toString(), {
+        method: 'GET',
+        ...graph.apiFetchOptions()
+      });
+    },
+
+    // Layouts change with every save, so they're never cached
+    loadLayout(dimensionId, { graph, fetchJson }) {
+      return fetchJson(layoutUrl(graph, dimensionId), {
+        method: 'GET',
+        ...graph.apiFetchOptions()
+      }, { cache: false })
+        .catch(error => {
+          if (error.status === 404) return null; // no saved layout
+          throw error;
+        });
+    },
+
+    saveLayout(dimensionId, layout, { graph, fetchJson }) {
+      const apiFetchOptions = graph.apiFetchOptions();
+
+      return fetchJson(layoutUrl(graph, dimensionId), {
+        ...apiFetchOptions,
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiFetchOptions.headers || {})
+        },
+        body: JSON.stringify(layout)
+      }, { cache: false, parse: () => undefined });
+    }
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * API Errors
+ *
+ * Error classes used to reject API loader requests, so that onApiError handlers
+ * can tell failures apart (e.g. with instanceof) and inspect the request URL,
+ * HTTP status and response body. Cancelled requests keep rejecting with a
+ * standard AbortError.
+ */
+
+class ApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {string} [details.url] - The request URL
+   * @param {number} [details.status] - The HTTP status
+   * @param {*} [details.body] - The response body, parsed as JSON if possible
+   * @param {Error} [details.cause] - The underlying error
+   */
+  constructor(message, { url = null, status, body = null, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.url = url;
+    this.status = status; // undefined unless the server responded
+    this.body = body;
+    this.cause = cause;
+  }
+}
+
+// Non 2xx response
+class ApiHttpError extends ApiError {
+  constructor(status, details = {}) {
+    super(`HTTP error! status: ${status}`, { ...details, status });
+    this.name = 'ApiHttpError';
+  }
+}
+
+// Request that could not be sent, or whose response could not be received
+class ApiNetworkError extends ApiError {
+  constructor(cause, details = {}) {
+    super(cause && cause.message ? cause.message : 'Network error', { ...details, cause });
+    this.name = 'ApiNetworkError';
+  }
+}
+
+// Attempt exceeding apiTimeout
+class ApiTimeoutError extends ApiError {
+  constructor(timeout, details = {}) {
+    super(`Request timed out after ${timeout}ms`, details);
+    this.name = 'ApiTimeoutError';
+  }
+}
+
+// Response body that is not valid JSON (or NDJSON)
+class ApiParseError extends ApiError {
+  constructor(cause, details = {}) {
+    super(`Invalid response body: ${cause && cause.message}`, { ...details, cause });
+    this.name = 'ApiParseError';
+  }
+}
+
+// Response that is not valid graph data
+class ApiValidationError extends ApiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object[]} [issues] - The validation issues, see validateGraphData
+   * @param {Object} [details] - Error details, see ApiError
+   */
+  constructor(message, issues = [], details = {}) {
+    super(message, details);
+    this.name = 'ApiValidationError';
+    this.issues = issues;
+  }
+}
+
+export { ApiError, ApiHttpError, ApiNetworkError, ApiTimeoutError, ApiParseError, ApiValidationError };
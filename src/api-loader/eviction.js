@@ -0,0 +1,81 @@
+/**
+ * Node Eviction
+ *
+ * Policies selecting which nodes to remove from the graph when it grows over
+ * its node budget (maxNodes):
+ *
+ *   'least-recently-expanded' - nodes brought in or expanded the longest time ago
+ *   'farthest'                - nodes at the largest hop distance from the focus nodes
+ *   Function(candidates, count, context) - custom selection
+ */
+
+/**
+ * Compute the hop distance of every node from a set of source nodes, following links in both directions
+ * @param {Array<{ source: string|number, target: string|number }>} links - Links, by their endpoint ids
+ * @param {Array<string|number>} sourceIds - Ids of the source nodes
+ * @returns {Map} node id → distance (unreachable nodes are absent)
+ */
+export function hopDistances(links, sourceIds) {
+  const neighbours = new Map();
+  const addNeighbour = (a, b) => {
+    !neighbours.has(a) && neighbours.set(a, []);
+    neighbours.get(a).push(b);
+  };
+  links.forEach(({ source, target }) => {
+    addNeighbour(source, target);
+    addNeighbour(target, source);
+  });
+
+  const distances = new Map(sourceIds.map(id => [id, 0]));
+  const queue = [...sourceIds];
+  for (let i = 0; i < queue.length; i++) {
+    const id = queue[i];
+    (neighbours.get(id) || []).forEach(neighbourId => {
+      if (distances.has(neighbourId)) return;
+      distances.set(neighbourId, distances.get(id) + 1);
+      queue.push(neighbourId);
+    });
+  }
+
+  return distances;
+}
+
+/**
+ * Select the nodes to evict
+ * @param {Object[]} candidates - The nodes that may be evicted
+ * @param {number} count - Number of nodes to evict
+ * @param {string|Function} policy - Eviction policy
+ * @param {Object} context - Selection context
+ * @param {Function} context.getNodeId - Node id getter
+ * @param {Map} context.recency - Node id → sequence number of its last expansion or load (absent = oldest)
+ * @param {Array<{ source: string|number, target: string|number }>} context.links - Graph links, by their endpoint ids
+ * @param {Array<string|number>} context.focusIds - Ids of the nodes to measure distances from
+ * @returns {Object[]} The nodes to evict
+ */
+export function selectNodesToEvict(candidates, count, policy, { getNodeId, recency, links, focusIds }) {
+  if (count <= 0 || !candidates.length) return [];
+
+  if (typeof policy === 'function') {
+    const selected = policy(candidates, count, { focusIds }) || [];
+    const selectedIds = new Set(selected.map(node => node !== null && typeof node === 'object' ? getNodeId(node) : node));
+    return candidates.filter(node => selectedIds.has(getNodeId(node)));
+  }
+
+  let score; // nodes with the highest score are evicted first
+  if (policy === 'farthest') {
+    const distances = hopDistances(links, focusIds);
+    score = node => distances.has(getNodeId(node)) ? distances.get(getNodeId(node)) : Infinity;
+  } else {
+    if (policy !== 'least-recently-expanded') {
+      console.warn(`ForceGraph3D: Unknown eviction policy "${policy}", using "least-recently-expanded"`);
+    }
+    score = node => -(recency.get(getNodeId(node)) || 0);
+  }
+
+  // Stable sort, so that ties are evicted in graph order
+  return candidates
+    .map((node, idx) => ({ node, idx, score: score(node) }))
+    .sort((a, b) => b.score - a.score || a.idx - b.idx)
+    .slice(0, count)
+    .map(({ node }) => node);
+}
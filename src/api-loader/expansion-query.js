@@ -0,0 +1,58 @@
+/**
+ * Expansion Query
+ *
+ * The neighbourhood options of loadNextNodes calls (depth, direction, link types,
+ * limit per node and extra params), normalized so that equivalent options result
+ * in the same request body, batch and cache key.
+ */
+
+const DIRECTIONS = ['in', 'out', 'both'];
+
+// Keys of the request body that extra params must not override
+const RESERVED_PARAMS = ['nodeIds', 'depth', 'direction', 'linkTypes', 'limit'];
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+/**
+ * Build the expansion query of loadNextNodes options
+ * @param {Object} [options] - loadNextNodes options
+ * @param {number} [options.depth] - Number of hops to load around the nodes
+ * @param {string} [options.direction] - Links to follow: 'in', 'out' or 'both'
+ * @param {string[]} [options.linkTypes] - Link types to follow
+ * @param {number} [options.limit] - Max number of neighbours per node
+ * @param {Object} [options.params] - Extra parameters sent to the server
+ * @returns {Object} The query, holding the set options only, with the params first in alphabetical order
+ * @throws {TypeError} If an option is invalid, or a param uses a reserved key
+ */
+export function createExpansionQuery({ depth, direction, linkTypes, limit, params } = {}) {
+  const query = {};
+
+  params && Object.keys(params).sort()
+    .filter(key => params[key] !== undefined)
+    .forEach(key => {
+      if (RESERVED_PARAMS.includes(key)) throw new TypeError(`Reserved expansion param: ${key}`);
+      query[key] = params[key];
+    });
+
+  if (depth !== undefined) {
+    if (!isPositiveInteger(depth)) throw new TypeError(`Invalid expansion depth: ${depth}`);
+    query.depth = depth;
+  }
+
+  if (direction !== undefined) {
+    if (!DIRECTIONS.includes(direction)) throw new TypeError(`Invalid expansion direction: ${direction}`);
+    query.direction = direction;
+  }
+
+  if (linkTypes !== undefined) {
+    if (!Array.isArray(linkTypes)) throw new TypeError('Expansion linkTypes must be an array');
+    query.linkTypes = [...new Set(linkTypes)].sort();
+  }
+
+  if (limit !== undefined) {
+    if (!isPositiveInteger(limit)) throw new TypeError(`Invalid expansion limit: ${limit}`);
+    query.limit = limit;
+  }
+
+  return query;
+}
@@ -0,0 +1,182 @@
+/**
+ * Expansion Tracker
+ *
+ * Keeps track of which nodes and links were brought into the graph by each
+ * node expansion (loadNextNodes), so that expansions can later be collapsed.
+ * Elements are reference-counted across expansions: a neighbour shared by
+ * several expanded nodes is only removed once all of them are collapsed.
+ * Elements that were never brought in by an expansion (e.g. the initial graph)
+ * are not tracked and are never removed.
+ */
+
+class ExpansionTracker {
+  constructor() {
+    // Expanded node id → { nodeIds: Set, linkKeys: Set } of the elements it references
+    this._expansions = new Map();
+
+    // Number of expansions referencing each tracked node id / link key
+    this._nodeRefs = new Map();
+    this._linkRefs = new Map();
+  }
+
+  /**
+   * Check whether a node has been expanded
+   * @param {string|number} nodeId - The node id
+   * @returns {boolean}
+   */
+  isExpanded(nodeId) {
+    return this._expansions.has(nodeId);
+  }
+
+  /**
+   * Get the elements referenced by the expansion of a node
+   * @param {string|number} nodeId - The expanded node id
+   * @returns {{ nodeIds: Set, linkKeys: Set }|null}
+   */
+  getExpansion(nodeId) {
+    return this._expansions.get(nodeId) || null;
+  }
+
+  /**
+   * Check whether a node was brought in by an expansion
+   * @param {string|number} nodeId - The node id
+   * @returns {boolean}
+   */
+  isTrackedNode(nodeId) {
+    return this._nodeRefs.has(nodeId);
+  }
+
+  /**
+   * Check whether a link was brought in by an expansion
+   * @param {string} linkKey - The link key
+   * @returns {boolean}
+   */
+  isTrackedLink(linkKey) {
+    return this._linkRefs.has(linkKey);
+  }
+
+  /**
+   * Record the elements returned by expanding a set of nodes. Each node is attributed
+   * to the expanded nodes it is directly linked to, or to all of them if it has no
+   * direct link. Links are attributed to their expanded endpoints in the same way.
+   * @param {Array<string|number>} expandedIds - Ids of the expanded nodes
+   * @param {Array<string|number>} nodeIds - Ids of the returned nodes to track
+   * @param {Array<{ key: string, source: string|number, target: string|number }>} links - Returned links to track
+   */
+  addExpansion(expandedIds, nodeIds, links) {
+    const expandedSet = new Set(expandedIds);
+
+    // Direct neighbours of each expanded node, according to the returned links
+    const neighbours = new Map(expandedIds.map(id => [id, new Set()]));
+    links.forEach(({ source, target }) => {
+      expandedSet.has(source) && neighbours.get(source).add(target);
+      expandedSet.has(target) && neighbours.get(target).add(source);
+    });
+
+    const owners = (...ids) => {
+      const direct = expandedIds.filter(id => ids.some(elemId => id === elemId || neighbours.get(id).has(elemId)));
+      return direct.length ? direct : expandedIds;
+    };
+
+    expandedIds.forEach(id => {
+      !this._expansions.has(id) && this._expansions.set(id, { nodeIds: new Set(), linkKeys: new Set() });
+    });
+
+    nodeIds
+      .filter(nodeId => !expandedSet.has(nodeId))
+      .forEach(nodeId => owners(nodeId).forEach(ownerId => {
+        const expansion = this._expansions.get(ownerId);
+        if (!expansion.nodeIds.has(nodeId)) {
+          expansion.nodeIds.add(nodeId);
+          this._nodeRefs.set(nodeId, (this._nodeRefs.get(nodeId) || 0) + 1);
+        }
+      }));
+
+    links.forEach(({ key, source, target }) => owners(source, target).forEach(ownerId => {
+      const expansion = this._expansions.get(ownerId);
+      if (!expansion.linkKeys.has(key)) {
+        expansion.linkKeys.add(key);
+        this._linkRefs.set(key, (this._linkRefs.get(key) || 0) + 1);
+      }
+    }));
+  }
+
+  /**
+   * Collapse expanded nodes, releasing their references. Nodes left unreferenced
+   * are collapsed in turn, so that their own expansions are also released.
+   * @param {Array<string|number>} nodeIds - Ids of the nodes to collapse
+   * @returns {{ nodeIds: Set, linkKeys: Set }} The elements that are no longer referenced
+   */
+  collapse(nodeIds) {
+    const roots = new Set(nodeIds);
+    const removedNodeIds = new Set();
+    const removedLinkKeys = new Set();
+
+    const release = (refs, key) => {
+      const count = refs.get(key) - 1;
+      count > 0 ? refs.set(key, count) : refs.delete(key);
+      return count <= 0;
+    };
+
+    const queue = [...nodeIds];
+    while (queue.length) {
+      const expandedId = queue.shift();
+      const expansion = this._expansions.get(expandedId);
+      if (!expansion) continue;
+      this._expansions.delete(expandedId);
+
+      expansion.linkKeys.forEach(key => release(this._linkRefs, key) && removedLinkKeys.add(key));
+      expansion.nodeIds.forEach(nodeId => {
+        if (release(this._nodeRefs, nodeId) && !roots.has(nodeId)) {
+          removedNodeIds.add(nodeId);
+          queue.push(nodeId); // cascade into the expansions of removed nodes
+        }
+      });
+    }
+
+    return { nodeIds: removedNodeIds, linkKeys: removedLinkKeys };
+  }
+
+  /**
+   * Forget nodes and links removed from the graph by other means than collapsing
+   * (e.g. evicted), without cascading into the elements they reference
+   * @param {Array<string|number>} nodeIds - Ids of the removed nodes
+   * @param {Array<string>} linkKeys - Keys of the removed links
+   */
+  forget(nodeIds, linkKeys) {
+    const release = (refs, key) => {
+      const count = refs.get(key);
+      count > 1 ? refs.set(key, count - 1) : refs.delete(key);
+    };
+
+    // Release the references held by the expansions of removed nodes
+    nodeIds.forEach(nodeId => {
+      const expansion = this._expansions.get(nodeId);
+      if (!expansion) return;
+      this._expansions.delete(nodeId);
+      expansion.nodeIds.forEach(id => release(this._nodeRefs, id));
+      expansion.linkKeys.forEach(key => release(this._linkRefs, key));
+    });
+
+    // Drop the removed elements from the remaining expansions
+    const removedNodeIds = new Set(nodeIds);
+    const removedLinkKeys = new Set(linkKeys);
+    this._expansions.forEach(expansion => {
+      removedNodeIds.forEach(id => expansion.nodeIds.delete(id));
+      removedLinkKeys.forEach(key => expansion.linkKeys.delete(key));
+    });
+    removedNodeIds.forEach(id => this._nodeRefs.delete(id));
+    removedLinkKeys.forEach(key => this._linkRefs.delete(key));
+  }
+
+  /**
+   * Clear all tracked expansions
+   */
+  clear() {
+    this._expansions.clear();
+    this._nodeRefs.clear();
+    this._linkRefs.clear();
+  }
+}
+
+export { ExpansionTracker };
@@ -0,0 +1,73 @@
+/**
+ * Graph Layout
+ *
+ * Snapshots of the node positions and pins (fx, fy, fz) of a graph, as saved to
+ * and loaded from the API by saveLayout() / loadLayout(). A layout is a plain
+ * object of the form:
+ *
+ *   { nodes: [{ id, x, y, z, fx?, fy?, fz? }, ...] }
+ *
+ * Positions are only available on node objects with the d3 force engine.
+ */
+
+const COORDS = ['x', 'y', 'z'];
+
+const isNumber = value => typeof value === 'number' && !isNaN(value);
+
+/**
+ * Take a snapshot of the positions and pins of nodes
+ * @param {Object[]} nodes - The graph nodes
+ * @param {Function} getNodeId - Node id getter
+ * @returns {{ nodes: Object[] }} The layout of the positioned nodes
+ */
+export function getLayout(nodes, getNodeId) {
+  return {
+    nodes: nodes
+      .filter(node => isNumber(node.x))
+      .map(node => {
+        const entry = { id: getNodeId(node) };
+        COORDS.forEach(c => {
+          isNumber(node[c]) && (entry[c] = node[c]);
+          isNumber(node[`f${c}`]) && (entry[`f${c}`] = node[`f${c}`]);
+        });
+        return entry;
+      })
+  };
+}
+
+/**
+ * Check whether a value is a valid layout
+ * @param {*} layout - The value to check
+ * @returns {boolean}
+ */
+export function isLayout(layout) {
+  return !!layout && typeof layout === 'object' && Array.isArray(layout.nodes);
+}
+
+/**
+ * Restore the positions and pins of nodes from a layout. Nodes of the layout are
+ * pinned exactly as saved (i.e. unpinned if saved without pins), and nodes
+ * missing from it are left untouched.
+ * @param {Object[]} nodes - The graph nodes
+ * @param {{ nodes: Object[] }} layout - The layout to apply
+ * @param {Function} getNodeId - Node id getter
+ * @returns {Object[]} The repositioned nodes
+ */
+export function applyLayout(nodes, layout, getNodeId) {
+  const entries = new Map(layout.nodes.map(entry => [entry.id, entry]));
+
+  return nodes.filter(node => {
+    const entry = entries.get(getNodeId(node));
+    if (!entry) return false;
+
+    COORDS.forEach(c => {
+      if (isNumber(entry[c])) {
+        node[c] = entry[c];
+        node[`v${c}`] = 0;
+      }
+
+      isNumber(entry[`f${c}`]) ? (node[`f${c}`] = entry[`f${c}`]) : delete node[`f${c}`];
+    });
+    return true;
+  });
+}
@@ -0,0 +1,145 @@
+/**
+ * Live Updates
+ *
+ * A push channel delivering graph deltas from the server, over WebSocket
+ * (ws:// and wss:// URLs) or Server-Sent Events (any other URL). Each message
+ * is a JSON delta, or an array of deltas, of the form:
+ *
+ *   { op: 'add' | 'update' | 'remove', nodes?: [...], links?: [...] }
+ *
+ * Messages that are not valid deltas are reported as errors, and ignored.
+ * Lost connections are re-established with exponential backoff.
+ */
+
+import { ApiValidationError } from './errors.js';
+
+const MAX_RECONNECT_DELAY = 30000;
+
+const isList = value => value === undefined || Array.isArray(value); // missing lists are empty
+
+class LiveUpdatesChannel {
+  /**
+   * @param {string} url - The WebSocket or EventSource URL
+   * @param {Object} [config] - Channel configuration
+   * @param {number} [config.reconnectDelay=1000] - Base reconnection delay in ms, doubled on every failed attempt (negative to disable)
+   * @param {Function} [config.onDeltas] - Callback(deltas) invoked with the deltas of every message
+   * @param {Function} [config.onError] - Callback(error, info) invoked on connection or message errors
+   */
+  constructor(url, { reconnectDelay = 1000, onDeltas = () => {}, onError = () => {} } = {}) {
+    this.url = url;
+    this.reconnectDelay = reconnectDelay;
+    this.onDeltas = onDeltas;
+    this.onError = onError;
+
+    this.attempts = 0;
+    this._source = null;
+    this._reconnectTimer = null;
+    this._closed = true;
+  }
+
+  /**
+   * Whether the channel uses a WebSocket (rather than an EventSource)
+   * @returns {boolean}
+   */
+  get isWebSocket() {
+    return /^wss?:/i.test(this.url);
+  }
+
+  /**
+   * Whether the connection is currently open
+   * @returns {boolean}
+   */
+  get connected() {
+    return !!this._source && this._source.readyState === 1; // OPEN, for both transports
+  }
+
+  /**
+   * Open the connection
+   */
+  connect() {
+    this._closed = false;
+    this.attempts++;
+
+    const source = this._source = this.isWebSocket
+      ? new WebSocket(this.url)
+      : new EventSource(this.url);
+
+    source.onopen = () => { this.attempts = 0; };
+    source.onmessage = event => this._handleMessage(event.data);
+
+    const onDisconnect = () => {
+      if (this._closed || this._source !== source) return;
+
+      this.onError(new Error('Live updates connection lost'), this.info);
+      this._dispose(source);
+      this._scheduleReconnect();
+    };
+
+    if (this.isWebSocket) {
+      source.onclose = onDisconnect;
+    } else {
+      // Take over the native EventSource reconnection, to apply our own backoff
+      source.onerror = onDisconnect;
+    }
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  close() {
+    this._closed = true;
+    clearTimeout(this._reconnectTimer);
+    this._source && this._dispose(this._source);
+    this._source = null;
+  }
+
+  /**
+   * Structured information about the channel, as reported to onError
+   * @returns {{ url: string, attempts: number, cancelled: boolean, timedOut: boolean }}
+   */
+  get info() {
+    return {
+      url: this.url,
+      attempts: this.attempts,
+      cancelled: this._closed,
+      timedOut: false
+    };
+  }
+
+  _handleMessage(data) {
+    let deltas;
+    try {
+      deltas = JSON.parse(data);
+    } catch (error) {
+      this.onError(error, this.info);
+      return;
+    }
+
+    deltas = Array.isArray(deltas) ? deltas : [deltas];
+
+    // Reject the whole message if any of its deltas is malformed
+    if (!deltas.every(delta => delta && typeof delta === 'object' && isList(delta.nodes) && isList(delta.links))) {
+      this.onError(
+        new ApiValidationError('Invalid live update: expected deltas with nodes and links arrays', [], { url: this.url, body: deltas }),
+        this.info
+      );
+      return;
+    }
+
+    this.onDeltas(deltas);
+  }
+
+  _scheduleReconnect() {
+    if (this.reconnectDelay < 0) return;
+
+    const delay = Math.min(this.reconnectDelay * 2 ** Math.max(this.attempts - 1, 0), MAX_RECONNECT_DELAY);
+    this._reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  _dispose(source) {
+    source.onopen = source.onmessage = source.onerror = source.onclose = null;
+    source.close();
+  }
+}
+
+export { LiveUpdatesChannel };
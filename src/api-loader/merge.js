@@ -0,0 +1,244 @@
+/**
+ * Graph Data Merging
+ *
+ * Helpers used by the API loader to merge incoming nodes and links into the
+ * current graph data, ignoring elements that are already present.
+ */
+
+import accessorFn from 'accessor-fn';
+
+/**
+ * Build the id getters used while merging, based on the graph accessors
+ * @param {Object} accessors - Graph accessors
+ * @param {string|Function} [accessors.nodeId='id'] - Node id accessor
+ * @param {string|Function} [accessors.linkSource='source'] - Link source accessor
+ * @param {string|Function} [accessors.linkTarget='target'] - Link target accessor
+ * @returns {{ getNodeId: Function, getSourceId: Function, getTargetId: Function }}
+ */
+export function getGraphIdGetters({ nodeId, linkSource, linkTarget } = {}) {
+  const getNodeId = accessorFn(nodeId || 'id');
+  const getLinkSource = accessorFn(linkSource || 'source');
+  const getLinkTarget = accessorFn(linkTarget || 'target');
+
+  // Link endpoints are replaced by node objects once digested by the layout engine
+  const endpointId = endpoint => endpoint !== null && typeof endpoint === 'object' ? getNodeId(endpoint) : endpoint;
+
+  return {
+    getNodeId,
+    getSourceId: link => endpointId(getLinkSource(link)),
+    getTargetId: link => endpointId(getLinkTarget(link))
+  };
+}
+
+/**
+ * Build a function returning the key that identifies a link when merging. Links are
+ * identified by their linkId if any, or else by their endpoints and type, so that
+ * parallel links of different types are kept apart.
+ * @param {Object} accessors - Graph accessors (see getGraphIdGetters)
+ * @param {string|Function} [accessors.linkId] - Link id accessor
+ * @param {boolean} [accessors.linkUndirected=false] - Whether A->B and B->A are the same link
+ * @returns {Function} link => key
+ */
+export function getLinkKeyFn(accessors) {
+  const { getSourceId, getTargetId } = getGraphIdGetters(accessors);
+  const getLinkId = accessors.linkId ? accessorFn(accessors.linkId) : () => undefined;
+
+  return link => {
+    const id = getLinkId(link);
+    if (id !== undefined && id !== null) return `#${id}`;
+
+    let source = getSourceId(link);
+    let target = getTargetId(link);
+    if (accessors.linkUndirected && `${target}` < `${source}`) {
+      [source, target] = [target, source];
+    }
+
+    return link.type !== undefined && link.type !== null
+      ? `${source}->${target}|${link.type}`
+      : `${source}->${target}`;
+  };
+}
+
+// Node fields holding layout state, kept when replacing a node's data
+const LAYOUT_FIELDS = ['index', 'x', 'y', 'z', 'vx', 'vy', 'vz', 'fx', 'fy', 'fz'];
+
+/**
+ * Refresh the data of existing node objects with incoming nodes of the same id.
+ * Nodes are updated in place, so their identity, position and three.js object are preserved.
+ * @param {Object[]} currentNodes - Nodes currently in the graph
+ * @param {Object[]} incomingNodes - Incoming nodes
+ * @param {string|Function} strategy - 'ignore', 'shallow-merge', 'replace' or Function(existingNode, incomingNode)
+ * mutating the existing node
+ * @param {Object} accessors - Graph accessors (see getGraphIdGetters)
+ * @returns {Object[]} The updated existing nodes
+ */
+export function mergeExistingNodes(currentNodes, incomingNodes, strategy, accessors) {
+  if (!strategy || strategy === 'ignore') return [];
+
+  const { getNodeId } = getGraphIdGetters(accessors);
+  const existingById = new Map(currentNodes.map(node => [getNodeId(node), node]));
+
+  const merge = typeof strategy === 'function' ? strategy : {
+    'shallow-merge': (existing, incoming) => Object.assign(existing, incoming),
+    replace: (existing, incoming) => {
+      Object.keys(existing)
+        .filter(field => !field.startsWith('__') && !LAYOUT_FIELDS.includes(field))
+        .forEach(field => delete existing[field]);
+      Object.assign(existing, incoming);
+    }
+  }[strategy];
+
+  if (!merge) {
+    console.warn(`ForceGraph3D: Unknown node merge strategy "${strategy}", ignoring existing nodes`);
+    return [];
+  }
+
+  const updated = new Set();
+  (incomingNodes || []).forEach(node => {
+    const existing = existingById.get(getNodeId(node));
+    if (existing && existing !== node) {
+      merge(existing, node);
+      updated.add(existing);
+    }
+  });
+
+  return [...updated];
+}
+
+/**
+ * Find the nodes and links in newData that are not yet part of currentData
+ * @param {Object} currentData - Current graph data { nodes, links }
+ * @param {Object} newData - Incoming graph data { nodes, links }
+ * @param {Object} accessors - Graph accessors (see getGraphIdGetters)
+ * @returns {{ nodes: Object[], links: Object[] }} The new elements only
+ */
+export function diffGraphData(currentData, newData, accessors) {
+  const { getNodeId } = getGraphIdGetters(accessors);
+  const linkKey = getLinkKeyFn(accessors);
+
+  const nodeIds = new Set(currentData.nodes.map(getNodeId));
+  const linkKeys = new Set(currentData.links.map(linkKey));
+
+  // Also dedupe within the incoming data itself
+  const nodes = (newData.nodes || []).filter(node => {
+    const id = getNodeId(node);
+    if (nodeIds.has(id)) return false;
+    nodeIds.add(id);
+    return true;
+  });
+
+  const links = (newData.links || []).filter(link => {
+    const key = linkKey(link);
+    if (linkKeys.has(key)) return false;
+    linkKeys.add(key);
+    return true;
+  });
+
+  return { nodes, links };
+}
+
+/**
+ * Apply live update deltas to graph data. Existing node and link objects are
+ * reused (and updated in place), so that untouched elements keep their positions.
+ * Links left without one of their endpoints are removed.
+ * @param {Object} currentData - Current graph data { nodes, links }
+ * @param {Object[]} deltas - Deltas { op: 'add'|'update'|'remove', nodes?, links? }.
+ * Nodes to remove can be given as objects or ids.
+ * @param {Object} accessors - Graph accessors (see getGraphIdGetters)
+ * @returns {{ data: Object, changes: { added: Object, updated: Object, removed: Object } }}
+ * The resulting graph data, and the affected elements { nodes, links } per operation
+ */
+export function applyGraphDeltas(currentData, deltas, accessors) {
+  const { getNodeId, getSourceId, getTargetId } = getGraphIdGetters(accessors);
+  const linkKey = getLinkKeyFn(accessors);
+
+  // Endpoint fields are never overwritten by updates, as they hold node objects once digested
+  const endpointFields = new Set([accessors.linkSource || 'source', accessors.linkTarget || 'target']);
+  const nodeIdOf = node => node !== null && typeof node === 'object' ? getNodeId(node) : node;
+
+  const nodes = new Map(currentData.nodes.map(node => [getNodeId(node), node]));
+  const links = new Map(currentData.links.map(link => [linkKey(link), link]));
+  const changes = {
+    added: { nodes: [], links: [] },
+    updated: { nodes: [], links: [] },
+    removed: { nodes: [], links: [] }
+  };
+
+  deltas.forEach(({ op, nodes: deltaNodes = [], links: deltaLinks = [] }) => {
+    switch (op) {
+      case 'add':
+        deltaNodes.forEach(node => {
+          const id = getNodeId(node);
+          if (nodes.has(id)) return;
+          nodes.set(id, node);
+          changes.added.nodes.push(node);
+        });
+        deltaLinks.forEach(link => {
+          const key = linkKey(link);
+          if (links.has(key)) return;
+          links.set(key, link);
+          changes.added.links.push(link);
+        });
+        break;
+
+      case 'update':
+        deltaNodes.forEach(node => {
+          const existing = nodes.get(getNodeId(node));
+          if (!existing) return;
+          Object.assign(existing, node);
+          changes.updated.nodes.push(existing);
+        });
+        deltaLinks.forEach(link => {
+          const existing = links.get(linkKey(link));
+          if (!existing) return;
+          Object.keys(link)
+            .filter(field => !endpointFields.has(field))
+            .forEach(field => { existing[field] = link[field]; });
+          changes.updated.links.push(existing);
+        });
+        break;
+
+      case 'remove':
+        deltaNodes.forEach(node => {
+          const id = nodeIdOf(node);
+          if (!nodes.has(id)) return;
+          changes.removed.nodes.push(nodes.get(id));
+          nodes.delete(id);
+        });
+        deltaLinks.forEach(link => {
+          const key = linkKey(link);
+          if (!links.has(key)) return;
+          changes.removed.links.push(links.get(key));
+          links.delete(key);
+        });
+        break;
+
+      default:
+        console.warn(`ForceGraph3D: Ignoring live update with unknown op "${op}"`);
+    }
+  });
+
+  // Remove links referencing missing nodes, which would otherwise break the layout
+  const addedLinks = new Set(changes.added.links);
+  let numDangling = 0;
+  links.forEach((link, key) => {
+    if (nodes.has(getSourceId(link)) && nodes.has(getTargetId(link))) return;
+    links.delete(key);
+    if (addedLinks.has(link)) {
+      addedLinks.delete(link);
+      numDangling++;
+    } else {
+      changes.removed.links.push(link);
+    }
+  });
+
+  if (numDangling) {
+    console.warn(`ForceGraph3D: Ignoring ${numDangling} links referencing unknown nodes`);
+    changes.added.links = changes.added.links.filter(link => addedLinks.has(link));
+  }
+
+  return {
+    data: { nodes: [...nodes.values()], links: [...links.values()] },
+    changes
+  };
+}
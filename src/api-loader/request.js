@@ -0,0 +1,235 @@
+/**
+ * API Request
+ *
+ * Wraps a single logical fetch request of the API loader, adding support for
+ * cancellation (via AbortSignal), a per-attempt timeout, retries with
+ * exponential backoff for server (5xx) and network errors, request interceptors
+ * and a single replay after refreshing credentials on 401 responses.
+ * Failures are reported with the typed errors of ./errors.js.
+ */
+
+import { ApiHttpError, ApiNetworkError, ApiTimeoutError } from './errors.js';
+
+/**
+ * Create the error used to reject cancelled requests
+ * @returns {Error}
+ */
+export function createAbortError() {
+  return typeof DOMException === 'function'
+    ? new DOMException('The request was cancelled', 'AbortError')
+    : Object.assign(new Error('The request was cancelled'), { name: 'AbortError' });
+}
+
+/**
+ * Check whether an error results from a cancelled request
+ * @param {Error} error - The error to check
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return !!error && error.name === 'AbortError';
+}
+
+/**
+ * Forward the abort of a signal to a controller
+ * @param {AbortController} controller - The controller to abort
+ * @param {AbortSignal} [signal] - The signal to follow
+ * @returns {Function} Function to stop following the signal, e.g. once the request settled,
+ * so that long-lived signals don't accumulate listeners
+ */
+export function linkAbortSignal(controller, signal) {
+  if (!signal) return () => {};
+  if (signal.aborted) {
+    controller.abort();
+    return () => {};
+  }
+
+  const onAbort = () => controller.abort();
+  signal.addEventListener('abort', onAbort, { once: true });
+  return () => signal.removeEventListener('abort', onAbort);
+}
+
+/**
+ * Read the body of an error response, parsed as JSON if possible
+ * @param {Response} response - The fetch response
+ * @returns {Promise<*>} The body, or null if it can't be read
+ */
+function readErrorBody(response) {
+  return Promise.resolve()
+    .then(() => typeof response.text === 'function'
+      ? response.text().then(text => {
+        try {
+          return JSON.parse(text);
+        } catch (e) {
+          return text;
+        }
+      })
+      : response.json()
+    )
+    .catch(() => null);
+}
+
+/**
+ * Wait for a given delay, unless cancelled beforehand
+ * @param {number} delay - Delay in ms
+ * @param {AbortSignal} [signal] - Signal to cancel the wait
+ * @returns {Promise<void>} Resolves after the delay, rejects with an AbortError if cancelled
+ */
+export function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(createAbortError());
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal && signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    signal && signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+class ApiRequest {
+  /**
+   * @param {string} url - The request URL
+   * @param {Object} [fetchOptions] - Options passed to fetch
+   * @param {Object} [config] - Request configuration
+   * @param {AbortSignal} [config.signal] - Signal to cancel the request
+   * @param {number} [config.timeout=0] - Per-attempt timeout in ms (0 to disable)
+   * @param {number} [config.retries=0] - Max number of retries for 5xx/network errors
+   * @param {number} [config.retryDelay=500] - Base delay in ms, doubled on every retry
+   * @param {Function[]} [config.interceptors=[]] - Functions({ url, options }) returning (a Promise of)
+   * the request to send, applied in order before every attempt
+   * @param {Function} [config.onUnauthorized] - Function returning a Promise resolved once credentials
+   * are refreshed, after which a 401 response is replayed once
+   */
+  constructor(url, fetchOptions = {}, { signal, timeout = 0, retries = 0, retryDelay = 500, interceptors = [], onUnauthorized = null } = {}) {
+    this.url = url;
+    this.fetchOptions = fetchOptions;
+    this.signal = signal;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.interceptors = interceptors;
+    this.onUnauthorized = onUnauthorized;
+
+    this.attempts = 0;
+    this.timedOut = false;
+    this.replayed = false;
+  }
+
+  /**
+   * Whether the request has been cancelled through its signal
+   * @returns {boolean}
+   */
+  get cancelled() {
+    return !!this.signal && this.signal.aborted;
+  }
+
+  /**
+   * Structured information about the request, as reported to onApiError
+   * @returns {{ url: string, attempts: number, cancelled: boolean, timedOut: boolean }}
+   */
+  get info() {
+    return {
+      url: this.url,
+      attempts: this.attempts,
+      cancelled: this.cancelled,
+      timedOut: this.timedOut
+    };
+  }
+
+  /**
+   * Send the request, retrying if needed
+   * @returns {Promise<Response>} Resolves with the first successful (2xx or 304) response
+   */
+  send() {
+    return this._attempt().catch(error => {
+      if (this.cancelled) throw createAbortError();
+
+      if (error.status === 401 && this.onUnauthorized && !this.replayed) {
+        this.replayed = true;
+        return Promise.resolve(this.onUnauthorized()).then(() => this.send());
+      }
+
+      if (!this._isRetryable(error) || this.attempts > this.retries) throw error;
+
+      return wait(this.retryDelay * 2 ** (this.attempts - 1), this.signal)
+        .then(() => this.send());
+    });
+  }
+
+  _attempt() {
+    this.attempts++;
+    this.timedOut = false;
+
+    if (this.cancelled) return Promise.reject(createAbortError());
+
+    // Send right away without interceptors, so the fetch starts synchronously
+    if (!this.interceptors.length) return this._fetch(this.url, this.fetchOptions);
+
+    const request = {
+      url: this.url,
+      options: { ...this.fetchOptions, headers: { ...(this.fetchOptions.headers || {}) } }
+    };
+
+    // Interceptors may return a new request, or modify the given one in place
+    const intercept = (promise, interceptor) => promise
+      .then(req => Promise.resolve(interceptor(req)).then(intercepted => intercepted || req));
+
+    return this.interceptors.reduce(intercept, Promise.resolve(request))
+      .then(({ url, options }) => this.cancelled ? Promise.reject(createAbortError()) : this._fetch(url, options));
+  }
+
+  _fetch(url, fetchOptions) {
+    return new Promise((resolve, reject) => {
+      const controller = new AbortController();
+      let timer = null;
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      };
+      const unlink = linkAbortSignal(controller, this.signal);
+      controller.signal.addEventListener('abort', onAbort, { once: true });
+
+      // Stop following the request signal once the attempt settled
+      const settle = () => {
+        clearTimeout(timer);
+        unlink();
+        controller.signal.removeEventListener('abort', onAbort);
+      };
+
+      if (this.timeout > 0) {
+        timer = setTimeout(() => {
+          this.timedOut = true;
+          settle();
+          controller.abort();
+          reject(new ApiTimeoutError(this.timeout, { url }));
+        }, this.timeout);
+      }
+
+      fetch(url, { ...fetchOptions, signal: controller.signal })
+        .then(response => {
+          settle();
+          // 304 responses are only returned to conditional requests, which handle them
+          if (response.ok || response.status === 304) return resolve(response);
+
+          readErrorBody(response)
+            .then(body => reject(new ApiHttpError(response.status, { url, body })));
+        }, error => {
+          settle();
+          reject(isAbortError(error) ? error : new ApiNetworkError(error, { url }));
+        });
+    });
+  }
+
+  _isRetryable(error) {
+    if (isAbortError(error)) return false;
+    if (error.status !== undefined) return error.status >= 500; // HTTP error
+    return true; // network error or timeout
+  }
+}
+
+export { ApiRequest };
@@ -0,0 +1,124 @@
+/**
+ * Response Cache
+ *
+ * An LRU cache for API loader responses, with time-to-live expiry. Expired
+ * entries holding an ETag are kept, so they can be revalidated with a
+ * conditional (If-None-Match) request instead of being downloaded again.
+ * Responses are stored serialized, so that the graph mutating the returned
+ * nodes and links never alters the cached copy.
+ */
+
+class ResponseCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.maxSize=100] - Max number of cached responses
+   * @param {number} [options.ttl=300000] - Time in ms during which a response is considered fresh
+   */
+  constructor({ maxSize = 100, ttl = 5 * 60 * 1000 } = {}) {
+    this.maxSize = maxSize;
+    this.ttl = ttl;
+
+    // Entries indexed by key, in least to most recently used order
+    this._entries = new Map();
+  }
+
+  /**
+   * Number of cached responses
+   * @returns {number}
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Get a cached response
+   * @param {string} key - Cache key
+   * @returns {{ data: Object, etag: string|null, fresh: boolean }|null} A copy of the cached data,
+   * or null if not cached or expired without an ETag to revalidate it
+   */
+  get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return null;
+
+    const fresh = Date.now() < entry.expires;
+    if (!fresh && !entry.etag) {
+      this._entries.delete(key);
+      return null;
+    }
+
+    // Mark as most recently used
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+
+    return {
+      data: JSON.parse(entry.data),
+      etag: entry.etag,
+      fresh
+    };
+  }
+
+  /**
+   * Cache a response, evicting the least recently used ones if over capacity
+   * @param {string} key - Cache key
+   * @param {Object} data - The response data
+   * @param {Object} [meta] - Response metadata
+   * @param {string} [meta.etag] - The response ETag
+   * @param {Object} [meta.tags] - Arbitrary tags used for invalidation
+   */
+  set(key, data, { etag = null, tags = {} } = {}) {
+    this._entries.delete(key);
+    this._entries.set(key, {
+      data: JSON.stringify(data),
+      etag,
+      tags,
+      expires: Date.now() + this.ttl
+    });
+
+    while (this._entries.size > this.maxSize) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Mark a cached response as fresh again, e.g. after a 304 Not Modified
+   * @param {string} key - Cache key
+   */
+  refresh(key) {
+    const entry = this._entries.get(key);
+    entry && (entry.expires = Date.now() + this.ttl);
+  }
+
+  /**
+   * Remove a cached response
+   * @param {string} key - Cache key
+   * @returns {boolean} Whether the response was cached
+   */
+  delete(key) {
+    return this._entries.delete(key);
+  }
+
+  /**
+   * Remove all cached responses matching a predicate
+   * @param {Function} predicate - Function(tags, key) returning true for responses to remove
+   * @returns {number} Number of removed responses
+   */
+  invalidate(predicate) {
+    let count = 0;
+    [...this._entries].forEach(([key, entry]) => {
+      if (predicate(entry.tags, key)) {
+        this._entries.delete(key);
+        count++;
+      }
+    });
+    return count;
+  }
+
+  /**
+   * Remove all cached responses
+   */
+  clear() {
+    this._entries.clear();
+  }
+}
+
+export { ResponseCache };
@@ -0,0 +1,70 @@
+/**
+ * Seed Positions
+ *
+ * Initial positions for nodes loaded by expanding other nodes, so they appear
+ * next to their parent instead of at the layout's default position. Siblings
+ * are spread evenly on a small sphere (or circle, or line, depending on the
+ * number of layout dimensions) centered on their parents.
+ */
+
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+/**
+ * Get the offset of the i-th of n points evenly spread around the origin
+ * @param {number} i - Point index
+ * @param {number} n - Number of points
+ * @param {number} radius - Distance from the origin
+ * @param {number} numDimensions - Number of layout dimensions (1, 2 or 3)
+ * @returns {{ x: number, y: number, z: number }}
+ */
+export function spreadOffset(i, n, radius, numDimensions) {
+  if (numDimensions === 1) {
+    return { x: (i % 2 ? -1 : 1) * radius * (1 + Math.floor(i / 2)) / Math.ceil(n / 2), y: 0, z: 0 };
+  }
+
+  if (numDimensions === 2) {
+    const angle = 2 * Math.PI * i / n;
+    return { x: radius * Math.cos(angle), y: radius * Math.sin(angle), z: 0 };
+  }
+
+  // Fibonacci sphere
+  const y = n > 1 ? 1 - 2 * i / (n - 1) : 0;
+  const r = Math.sqrt(1 - y * y);
+  const theta = GOLDEN_ANGLE * i;
+  return { x: radius * r * Math.cos(theta), y: radius * y, z: radius * r * Math.sin(theta) };
+}
+
+/**
+ * Position new nodes around their (already positioned) parent nodes. Nodes already
+ * positioned or without a positioned parent are left untouched.
+ * @param {Object[]} nodes - The new nodes
+ * @param {Function} getParents - Function(node) returning the parent node objects
+ * @param {number} radius - Distance from the parents
+ * @param {number} numDimensions - Number of layout dimensions (1, 2 or 3)
+ */
+export function seedPositions(nodes, getParents, radius, numDimensions) {
+  // Group siblings by their parents, to spread each group around its own center
+  const groups = new Map();
+  nodes.forEach(node => {
+    if (node.x !== undefined) return; // already positioned, e.g. by the server
+
+    const parents = getParents(node).filter(parent => parent.x !== undefined);
+    if (!parents.length) return;
+
+    const center = ['x', 'y', 'z'].reduce((center, dim) => {
+      center[dim] = parents.reduce((sum, parent) => sum + (parent[dim] || 0), 0) / parents.length;
+      return center;
+    }, {});
+
+    const key = `${center.x},${center.y},${center.z}`;
+    !groups.has(key) && groups.set(key, { center, nodes: [] });
+    groups.get(key).nodes.push(node);
+  });
+
+  groups.forEach(({ center, nodes: siblings }) => siblings.forEach((node, i) => {
+    const offset = spreadOffset(i, siblings.length, radius, numDimensions);
+    node.x = center.x + offset.x;
+    numDimensions > 1 && (node.y = center.y + offset.y);
+    numDimensions > 2 && (node.z = center.z + offset.z);
+  }));
+}
@@ -0,0 +1,77 @@
+/**
+ * Streaming Responses
+ *
+ * Helpers to consume NDJSON (newline-delimited JSON) API responses
+ * incrementally, so large graphs can be rendered while they download.
+ * Each line of the stream is expected to be a partial graph: { nodes?, links? }
+ */
+
+const NDJSON_CONTENT_TYPE = /application\/(x-)?(ndjson|jsonl|json-seq)|application\/stream\+json/i;
+
+/**
+ * Check whether a fetch response carries an NDJSON stream
+ * @param {Response} response - The fetch response
+ * @returns {boolean}
+ */
+export function isNdjsonResponse(response) {
+  const contentType = response.headers && typeof response.headers.get === 'function'
+    ? response.headers.get('content-type')
+    : null;
+  return !!contentType && NDJSON_CONTENT_TYPE.test(contentType);
+}
+
+/**
+ * Combine several partial graph records into a single chunk
+ * @param {Object[]} records - Parsed records { nodes?, links? }
+ * @returns {{ nodes: Object[], links: Object[] }}
+ */
+export function combineRecords(records) {
+  return records.reduce((chunk, record) => {
+    record.nodes && chunk.nodes.push(...record.nodes);
+    record.links && chunk.links.push(...record.links);
+    return chunk;
+  }, { nodes: [], links: [] });
+}
+
+function parseLines(lines) {
+  return lines
+    .map(line => line.trim())
+    .filter(line => line)
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Read an NDJSON response body, invoking onRecords with the records parsed from
+ * each block of data as it arrives. Falls back to reading the full text if the
+ * response body is not a readable stream.
+ * @param {Response} response - The fetch response
+ * @param {Function} onRecords - Callback(records) invoked for every received block
+ * @returns {Promise<void>} Resolves once the stream has been fully consumed
+ */
+export function readNdjson(response, onRecords) {
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    return response.text().then(text => {
+      const records = parseLines(text.split('\n'));
+      records.length && onRecords(records);
+    });
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const pump = () => reader.read().then(({ done, value }) => {
+    buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+    // Keep the trailing partial line in the buffer until more data arrives
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop();
+
+    const records = parseLines(lines);
+    records.length && onRecords(records);
+
+    return done ? undefined : pump();
+  });
+
+  return pump();
+}
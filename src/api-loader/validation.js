@@ -0,0 +1,83 @@
+/**
+ * Graph Data Validation
+ *
+ * Checks the graph data received by the API loader before it is merged, so that
+ * malformed payloads are reported instead of crashing the layout engine later on.
+ * Invalid items are reported as issues of the form:
+ *
+ *   { type: 'missing-id', node }
+ *   { type: 'duplicate-id', id, node }
+ *   { type: 'dangling-link', id, link } (id being the unknown endpoint)
+ */
+
+import { getGraphIdGetters } from './merge.js';
+import { ApiValidationError } from './errors.js';
+
+const ISSUE_DESCRIPTIONS = {
+  'missing-id': 'nodes without id',
+  'duplicate-id': 'nodes with duplicate ids',
+  'dangling-link': 'links referencing unknown nodes'
+};
+
+/**
+ * Validate graph data received from the API
+ * @param {Object} data - The received data
+ * @param {Object} accessors - Graph accessors (see getGraphIdGetters)
+ * @param {Object} [options] - Validation options
+ * @param {Set} [options.knownIds] - Ids of other nodes the links may reference, e.g. the ones already in the graph
+ * @param {boolean} [options.checkLinks=true] - Whether to check for links referencing unknown nodes
+ * @param {string} [options.url] - The request URL, reported with errors
+ * @returns {{ data: Object, issues: Object[] }} The data without its invalid items, and the issues found
+ * @throws {ApiValidationError} If the data is not an object with a nodes array (and optional links array)
+ */
+export function validateGraphData(data, accessors, { knownIds = new Set(), checkLinks = true, url = null } = {}) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.nodes)) {
+    throw new ApiValidationError('Invalid API response: expected an object with a nodes array', [], { url, body: data });
+  }
+  if (data.links !== undefined && data.links !== null && !Array.isArray(data.links)) {
+    throw new ApiValidationError('Invalid API response: links is not an array', [], { url, body: data });
+  }
+
+  const { getNodeId, getSourceId, getTargetId } = getGraphIdGetters(accessors);
+  const issues = [];
+
+  const ids = new Set();
+  const nodes = data.nodes.filter(node => {
+    const id = node ? getNodeId(node) : undefined;
+    if (id === undefined || id === null) {
+      issues.push({ type: 'missing-id', node });
+      return false;
+    }
+    if (ids.has(id)) {
+      issues.push({ type: 'duplicate-id', id, node });
+      return false;
+    }
+    ids.add(id);
+    return true;
+  });
+
+  const isKnown = id => ids.has(id) || knownIds.has(id);
+  const links = (data.links || []).filter(link => {
+    if (!checkLinks) return true;
+
+    const unknownIds = [getSourceId(link), getTargetId(link)].filter(id => !isKnown(id));
+    if (!unknownIds.length) return true;
+
+    issues.push({ type: 'dangling-link', id: unknownIds[0], link });
+    return false;
+  });
+
+  return { data: { ...data, nodes, links }, issues };
+}
+
+/**
+ * Summarize validation issues, e.g. "2 links referencing unknown nodes, 1 nodes with duplicate ids"
+ * @param {Object[]} issues - The validation issues
+ * @returns {string}
+ */
+export function describeIssues(issues) {
+  const counts = new Map();
+  issues.forEach(({ type }) => counts.set(type, (counts.get(type) || 0) + 1));
+
+  return [...counts].map(([type, count]) => `${count} ${ISSUE_DESCRIPTIONS[type] || type}`).join(', ');
+}
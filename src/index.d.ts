@@ -6,7 +6,8 @@ import * as THREE from 'three';
 export interface ConfigOptions {
   controlType?: 'trackball' | 'orbit' | 'fly'
   rendererConfig?: WebGLRendererParameters,
-  extraRenderers?: Renderer[]
+  extraRenderers?: Renderer[],
+  nodeObjectFactory?: INodeObjectFactory | null
 }
 
 type Accessor<In, Out> = Out | string | ((obj: In) => Out);
@@ -24,6 +25,119 @@ interface GraphData<N extends NodeObject = NodeObject, L extends LinkObject<N> =
   links: L[];
 }
 
+interface ApiProgress {
+  nodes: number;
+  links: number;
+  chunks: number;
+  done: boolean;
+}
+
+interface ApiRequestInfo {
+  url: string;
+  attempts: number;
+  cancelled: boolean;
+  timedOut: boolean;
+}
+
+interface ApiRequestOptions {
+  signal?: AbortSignal;
+}
+
+interface SearchOptions extends ApiRequestOptions {
+  focus?: boolean;
+  transitionDuration?: number;
+  padding?: number;
+}
+
+type ExpansionDirection = 'in' | 'out' | 'both';
+
+interface ExpansionOptions {
+  depth?: number;
+  direction?: ExpansionDirection;
+  linkTypes?: string[];
+  limit?: number;
+  params?: Record<string, unknown>;
+}
+
+export interface ExpansionQuery extends Record<string, unknown> {
+  depth?: number;
+  direction?: ExpansionDirection;
+  linkTypes?: string[];
+  limit?: number;
+}
+
+interface ApiCacheOptions {
+  maxSize?: number;
+  ttl?: number;
+}
+
+interface ApiCacheFilter {
+  dimensionId?: string | number;
+  nodeIds?: Array<string | number>;
+}
+
+interface ApiRequest {
+  url: string;
+  options: RequestInit;
+}
+
+type ApiRequestInterceptor = (request: ApiRequest) => ApiRequest | void | Promise<ApiRequest | void>;
+
+type ApiResponseTransformer = (data: any, methodName: 'initGraphFromApi' | 'switchDimension' | 'loadNextNodes' | 'searchNodes') => GraphData;
+
+export interface ApiFetchJsonOptions {
+  cacheKey?: string;
+  parse?: (response: Response) => any;
+  cache?: boolean;
+}
+
+export interface ApiAdapterContext {
+  graph: any;
+  signal: AbortSignal;
+  fetchJson: (url: string, fetchOptions?: RequestInit, options?: ApiFetchJsonOptions) => Promise<any>;
+  onChunk?: (data: Partial<GraphData>) => void;
+  query?: ExpansionQuery;
+}
+
+export interface ApiAdapter {
+  init(dimensionId: string | number | undefined, context: ApiAdapterContext): Promise<GraphData | void>;
+  expand(nodeIds: Array<string | number>, context: ApiAdapterContext): Promise<GraphData>;
+  search?(query: string, context: ApiAdapterContext): Promise<GraphData>;
+  loadLayout?(dimensionId: string | number | undefined, context: ApiAdapterContext): Promise<GraphLayout | null>;
+  saveLayout?(dimensionId: string | number | undefined, layout: GraphLayout, context: ApiAdapterContext): Promise<unknown>;
+}
+
+export interface GraphLayout {
+  nodes: Array<{
+    id: string | number;
+    x: number;
+    y?: number;
+    z?: number;
+    fx?: number;
+    fy?: number;
+    fz?: number;
+  }>;
+}
+
+interface GraphDelta {
+  op: 'add' | 'update' | 'remove';
+  nodes?: Array<object | string | number>;
+  links?: object[];
+}
+
+interface LiveUpdateChanges<N extends NodeObject = NodeObject, L extends LinkObject<N> = LinkObject<N>> {
+  added: GraphData<N, L>;
+  updated: GraphData<N, L>;
+  removed: GraphData<N, L>;
+}
+
+type NodeMergeStrategy<N extends NodeObject = NodeObject> = 'ignore' | 'shallow-merge' | 'replace' | ((existingNode: N, incomingNode: N) => void);
+
+type NodeExpansionState = 'collapsed' | 'loading' | 'expanded' | 'failed';
+
+type EvictionPolicy<N extends NodeObject = NodeObject> = 'least-recently-expanded' | 'farthest'
+  | ((candidates: N[], count: number, context: { focusIds: Array<string | number> }) => Array<N | string | number>);
+
 interface ApiLoaderResult<N extends NodeObject = NodeObject, L extends LinkObject<N> = LinkObject<N>> {
   nodes: N[];
   links: L[];
@@ -41,13 +155,98 @@ interface ForceGraph3DGenericInstance<ChainableInstance, N extends NodeObject =
   apiInitEndpoint(endpoint: string): ChainableInstance;
   apiLoadNodesEndpoint(): string;
   apiLoadNodesEndpoint(endpoint: string): ChainableInstance;
+  apiSearchEndpoint(): string;
+  apiSearchEndpoint(endpoint: string): ChainableInstance;
+  apiLayoutEndpoint(): string;
+  apiLayoutEndpoint(endpoint: string): ChainableInstance;
+  apiRestoreLayout(): boolean;
+  apiRestoreLayout(enable: boolean): ChainableInstance;
+  dimensionTransitionAnimation(): string | null;
+  dimensionTransitionAnimation(animationName: string | null): ChainableInstance;
+  dimensionTransitionDuration(): number;
+  dimensionTransitionDuration(ms: number): ChainableInstance;
+  onDimensionChange(callback: (dimensionId: string | number | undefined, previousDimensionId: string | number | undefined) => void): ChainableInstance;
   apiFetchOptions(): RequestInit;
   apiFetchOptions(options: RequestInit): ChainableInstance;
-  onApiError(callback: (error: Error, methodName: string) => void): ChainableInstance;
+  apiAdapter(): ApiAdapter;
+  apiAdapter(adapter: ApiAdapter): ChainableInstance;
+  apiCursorParam(): string;
+  apiCursorParam(param: string): ChainableInstance;
+  apiNextCursorField(): string;
+  apiNextCursorField(field: string): ChainableInstance;
+  onApiProgress(callback: (progress: ApiProgress, methodName: string) => void): ChainableInstance;
+  apiLiveUrl(): string;
+  apiLiveUrl(url: string): ChainableInstance;
+  apiLiveReconnectDelay(): number;
+  apiLiveReconnectDelay(ms: number): ChainableInstance;
+  onLiveUpdate(callback: (changes: LiveUpdateChanges<N, L>, deltas: GraphDelta[]) => void): ChainableInstance;
+  apiTimeout(): number;
+  apiTimeout(ms: number): ChainableInstance;
+  apiRetries(): number;
+  apiRetries(retries: number): ChainableInstance;
+  apiRetryDelay(): number;
+  apiRetryDelay(ms: number): ChainableInstance;
+  apiRequestInterceptors(): ApiRequestInterceptor[];
+  apiRequestInterceptors(interceptors: ApiRequestInterceptor[]): ChainableInstance;
+  apiResponseTransformers(): ApiResponseTransformer[];
+  apiResponseTransformers(transformers: ApiResponseTransformer[]): ChainableInstance;
+  apiAuthRefresh(): (() => Promise<unknown>) | null;
+  apiAuthRefresh(fn: (() => Promise<unknown>) | null): ChainableInstance;
+  apiBatchWindow(): number;
+  apiBatchWindow(ms: number): ChainableInstance;
+  expandOnNodeClick(): boolean;
+  expandOnNodeClick(enable: boolean): ChainableInstance;
+  prefetchOnHover(): boolean;
+  prefetchOnHover(enable: boolean): ChainableInstance;
+  prefetchHoverDelay(): number;
+  prefetchHoverDelay(ms: number): ChainableInstance;
+  expandLoadingAnimation(): string | null;
+  expandLoadingAnimation(animationName: string | null): ChainableInstance;
+  expandLoadingAnimationOptions(): AnimationOptions;
+  expandLoadingAnimationOptions(options: AnimationOptions): ChainableInstance;
+  expansionSeedRadius(): number;
+  expansionSeedRadius(radius: number): ChainableInstance;
+  expansionPinDuration(): number;
+  expansionPinDuration(ms: number): ChainableInstance;
+  // Budget enforced on expansions, searches and live additions, never truncating the initial load
+  maxNodes(): number;
+  maxNodes(max: number): ChainableInstance;
+  evictionPolicy(): EvictionPolicy<N>;
+  evictionPolicy(policy: EvictionPolicy<N>): ChainableInstance;
+  evictionFocusNode(): N | string | number | null;
+  evictionFocusNode(node: N | string | number | null): ChainableInstance;
+  onNodesEvicted(callback: (evicted: ApiLoaderResult<N, L>) => void): ChainableInstance;
+  apiValidation(): 'drop' | 'reject';
+  apiValidation(mode: 'drop' | 'reject'): ChainableInstance;
+  apiNodeMergeStrategy(): NodeMergeStrategy<N>;
+  apiNodeMergeStrategy(strategy: NodeMergeStrategy<N>): ChainableInstance;
+  apiCache(): boolean | ApiCacheOptions;
+  apiCache(options: boolean | ApiCacheOptions): ChainableInstance;
+  onApiError(callback: (error: Error, methodName: string, info: ApiRequestInfo) => void): ChainableInstance;
+
+  // Link identity
+  linkId(): ObjAccessor<string | number, L> | null;
+  linkId(accessor: ObjAccessor<string | number, L> | null): ChainableInstance;
+  linkUndirected(): boolean;
+  linkUndirected(undirected: boolean): ChainableInstance;
 
   // API loader methods
-  initGraphFromApi(dimensionId?: string | number): Promise<GraphData<N, L>>;
-  loadNextNodes(nodeIds: Array<string | number>): Promise<ApiLoaderResult<N, L>>;
+  initGraphFromApi(dimensionId?: string | number, options?: ApiRequestOptions): Promise<GraphData<N, L>>;
+  switchDimension(dimensionId?: string | number, options?: ApiRequestOptions): Promise<GraphData<N, L>>;
+  currentDimension(): string | number | undefined;
+  loadNextNodes(nodeIds: Array<string | number>, options?: ApiRequestOptions & ExpansionOptions): Promise<ApiLoaderResult<N, L>>;
+  prefetchNodes(nodeIds: Array<string | number>): Promise<void>;
+  searchNodes(query: string, options?: SearchOptions): Promise<GraphData<N, L>>;
+  saveLayout(dimensionId?: string | number): Promise<GraphLayout>;
+  loadLayout(dimensionId?: string | number, options?: ApiRequestOptions): Promise<GraphLayout | null>;
+  collapseNodes(nodeIds: Array<string | number>): ApiLoaderResult<N, L>;
+  nodeExpansionState(node: N | string | number): NodeExpansionState;
+  toggleNodeExpansion(node: N | string | number): ChainableInstance;
+  cancelApiRequests(): ChainableInstance;
+  invalidateApiCache(filter?: ApiCacheFilter): number;
+  connectLiveUpdates(): ChainableInstance;
+  disconnectLiveUpdates(): ChainableInstance;
+  isLiveConnected(): boolean;
 
   // Container layout
   width(): number;
@@ -118,6 +317,11 @@ interface ForceGraph3DGenericInstance<ChainableInstance, N extends NodeObject =
   stopOrbit(): ChainableInstance;
   isOrbiting(): boolean;
 
+  // Node object factory
+  nodeObjectFactory(): INodeObjectFactory | null;
+  nodeObjectFactory(factory: INodeObjectFactory | null): ChainableInstance;
+  updateNodeVisuals(nodes?: N[]): ChainableInstance;
+
   // Node animations
   nodeHoverAnimation(): string | null;
   nodeHoverAnimation(animationName: string | null): ChainableInstance;
@@ -156,6 +360,18 @@ export type NodeObjectCreator<N extends NodeObject = NodeObject> = (
   factory?: INodeObjectFactory
 ) => Object3D;
 
+export type NodeObjectReset<N extends NodeObject = NodeObject> = (
+  obj: Object3D,
+  node: N,
+  THREE: typeof import('three'),
+  factory?: INodeObjectFactory
+) => void;
+
+export interface NodeObjectTypeOptions<N extends NodeObject = NodeObject> {
+  update?: NodeObjectReset<N> | null;
+  reset?: NodeObjectReset<N> | null;
+}
+
 export interface FactoryStats {
   registeredTypes: number;
   activeObjects: number;
@@ -175,30 +391,41 @@ export interface ActiveObjectEntry {
 }
 
 export interface INodeObjectFactory {
-  registerType<N extends NodeObject = NodeObject>(typeName: string, creatorFn: NodeObjectCreator<N>): void;
+  registerType<N extends NodeObject = NodeObject>(typeName: string, creatorFn: NodeObjectCreator<N>, options?: NodeObjectTypeOptions<N>): void;
   unregisterType(typeName: string): boolean;
   hasType(typeName: string): boolean;
   getRegisteredTypes(): string[];
+  getTHREE(): typeof import('three') | null;
+  setTHREE(THREE: typeof import('three') | null): INodeObjectFactory;
   getGeometry<G extends THREE.BufferGeometry>(key: string, createFn: () => G): G;
   getMaterial<M extends THREE.Material>(key: string, createFn: () => M): M;
-  createObject<N extends NodeObject = NodeObject>(node: N, THREE: typeof import('three'), typeAttribute?: string): Object3D | null;
-  releaseObject(nodeId: string | number): void;
+  ownMaterial(obj: Object3D): THREE.Material | THREE.Material[] | null;
+  restoreSharedMaterial(obj: Object3D, force?: boolean): boolean;
+  createObject<N extends NodeObject = NodeObject>(node: N, THREE: typeof import('three'), typeAttribute?: string, nodeId?: string | number): Object3D | null;
+  updateObject<N extends NodeObject = NodeObject>(node: N, THREE?: typeof import('three'), typeAttribute?: string, nodeId?: string | number): boolean;
+  releaseObject(nodeId: string | number, object?: Object3D): void;
   getActiveObject(nodeId: string | number): Object3D | null;
   getActiveObjects(): ActiveObjectEntry[];
   clearPools(): void;
   clear(): void;
   disposeCache(): void;
   dispose(): void;
-  createAccessor<N extends NodeObject = NodeObject>(THREE: typeof import('three'), fallbackAccessor?: ((node: N) => Object3D | null) | Object3D | null, typeAttribute?: string): (node: N) => Object3D | null;
+  createAccessor<N extends NodeObject = NodeObject>(THREE?: typeof import('three'), fallbackAccessor?: ((node: N) => Object3D | null) | Object3D | null, typeAttribute?: string, getNodeId?: (node: N) => string | number): (node: N) => Object3D | null;
   getStats(): FactoryStats;
 }
 
 export const nodeObjectFactory: INodeObjectFactory;
-export const NodeObjectFactory: new () => INodeObjectFactory;
+export interface NodeObjectFactoryOptions {
+  parent?: INodeObjectFactory | null;
+  THREE?: typeof import('three') | null;
+}
+
+export const NodeObjectFactory: new (options?: NodeObjectFactoryOptions) => INodeObjectFactory;
 
 export interface NodeObjectTypeModule {
   typeName: string;
   create: NodeObjectCreator;
+  update?: NodeObjectReset;
 }
 
 export function registerBuiltInTypes(): void;
@@ -266,6 +493,7 @@ export interface IAnimationManager {
   toggleAnimation(object: Object3D, animationName: string, options?: AnimationOptions, immediate?: boolean): boolean;
   isAnimating(object: Object3D, animationName?: string): boolean;
   getAnimationState(object: Object3D, animationName?: string): object | null;
+  applyUpdate<T>(object: Object3D, updateFn: () => T): T;
   tick(deltaTime: number): void;
   getStats(): AnimationStats;
   clear(immediate?: boolean): void;
@@ -307,4 +535,62 @@ export const builtInAnimations: {
   pulse: AnimationTypeModule;
   spin: AnimationTypeModule;
   glow: AnimationTypeModule;
+  fade: AnimationTypeModule;
 };
+
+// API loader adapters
+
+export interface GraphQLAdapterConfig {
+  endpoint?: string;
+  initQuery?: string;
+  expandQuery?: string;
+  searchQuery?: string;
+  initVariables?: (dimensionId: string | number | undefined) => object;
+  expandVariables?: (nodeIds: Array<string | number>, query: ExpansionQuery) => object;
+  searchVariables?: (query: string) => object;
+  initResult?: (data: any) => GraphData;
+  expandResult?: (data: any) => GraphData;
+  searchResult?: (data: any) => GraphData;
+}
+
+export interface FixtureAdapterConfig {
+  initNodeIds?: Array<string | number> | ((dimensionId: string | number | undefined) => Array<string | number>);
+  latency?: number | [number, number];
+  failureRate?: number;
+  searchFields?: string[];
+}
+
+export function createRestAdapter(): ApiAdapter;
+export function createGraphQLAdapter(config?: GraphQLAdapterConfig): ApiAdapter;
+export function createFixtureAdapter(
+  data: GraphData | ((dimensionId: string | number | undefined) => GraphData),
+  config?: FixtureAdapterConfig
+): ApiAdapter;
+
+// API loader errors
+
+export class ApiError extends Error {
+  url: string | null;
+  status?: number;
+  body: any;
+  cause?: unknown;
+}
+
+export class ApiHttpError extends ApiError {
+  status: number;
+}
+
+export class ApiNetworkError extends ApiError {}
+
+export class ApiTimeoutError extends ApiError {}
+
+export class ApiParseError extends ApiError {}
+
+export type ApiValidationIssue =
+  | { type: 'missing-id'; node: NodeObject }
+  | { type: 'duplicate-id'; id: string | number; node: NodeObject }
+  | { type: 'dangling-link'; id: string | number; link: LinkObject };
+
+export class ApiValidationError extends ApiError {
+  issues: ApiValidationIssue[];
+}
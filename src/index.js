@@ -16,3 +16,9 @@ export { easing, getEasing } from './animations/easing.js';
 
 // Built-in animations and registration helper
 export { registerBuiltInAnimations, builtInAnimations } from './animations/index.js';
+
+// API loader adapters
+export { createRestAdapter, createGraphQLAdapter, createFixtureAdapter } from './api-loader/adapters/index.js';
+
+// API loader error classes
+export { ApiError, ApiHttpError, ApiNetworkError, ApiTimeoutError, ApiParseError, ApiValidationError } from './api-loader/errors.js';
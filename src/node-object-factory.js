@@ -4,11 +4,24 @@
  * A factory to manage different THREE.js objects for node representations.
  * Provides object pooling and lifecycle management for memory optimization.
  * Nodes can specify a `nodeThreeObjectType` attribute to use a registered type.
+ * Factories can inherit the types of a parent factory, e.g. the per-graph
+ * factories inherit the types registered with the global one.
+ * Cached materials are shared between objects, and copied on write (see ownMaterial).
  */
 
+import { markSharedMaterial, isOwnMaterial, ownMaterial, restoreSharedMaterial, disposeOwnMaterial } from './shared-materials.js';
+
 class NodeObjectFactory {
-  constructor() {
-    // Registry of node object creators indexed by type name
+  /**
+   * @param {object} [options]
+   * @param {NodeObjectFactory} [options.parent] - Factory whose registered types are inherited
+   * @param {object} [options.THREE] - The THREE.js library reference passed to creators by default
+   */
+  constructor({ parent = null, THREE = null } = {}) {
+    this._parent = parent;
+    this._THREE = THREE;
+
+    // Registry of node object creators, update and reset functions indexed by type name
     this._typeRegistry = new Map();
 
     // Object pools for reusing disposed objects (indexed by type name)
@@ -17,6 +30,9 @@ class NodeObjectFactory {
     // Track active objects by node id for lifecycle management
     this._activeObjects = new Map();
 
+    // Type, number of children and initial transform of the created objects, by object
+    this._objectInfo = new WeakMap();
+
     // Geometry and material caches for memory optimization
     this._geometryCache = new Map();
     this._materialCache = new Map();
@@ -26,15 +42,27 @@ class NodeObjectFactory {
    * Register a THREE object creator function for a given type name
    * @param {string} typeName - The type name to register
    * @param {Function} creatorFn - Function (node, THREE, factory) => THREE.Object3D
+   * @param {object} [options]
+   * @param {Function} [options.update] - Function (obj, node, THREE, factory) updating an object in place
+   * to the current attributes of its node (e.g. its geometry and material), see updateObject()
+   * @param {Function} [options.reset] - Function (obj, node, THREE, factory) adapting a pooled object
+   * to the node it's reused for, by default the update function. Without either, reused objects keep
+   * the looks of the node they were created for.
    */
-  registerType(typeName, creatorFn) {
+  registerType(typeName, creatorFn, { update = null, reset = null } = {}) {
     if (typeof typeName !== 'string' || !typeName) {
       throw new Error('typeName must be a non-empty string');
     }
     if (typeof creatorFn !== 'function') {
       throw new Error('creatorFn must be a function');
     }
-    this._typeRegistry.set(typeName, creatorFn);
+    if (update !== null && typeof update !== 'function') {
+      throw new Error('update must be a function');
+    }
+    if (reset !== null && typeof reset !== 'function') {
+      throw new Error('reset must be a function');
+    }
+    this._typeRegistry.set(typeName, { create: creatorFn, update, reset: reset || update });
     // Initialize pool for this type
     if (!this._objectPools.has(typeName)) {
       this._objectPools.set(typeName, []);
@@ -62,15 +90,44 @@ class NodeObjectFactory {
    * @returns {boolean}
    */
   hasType(typeName) {
-    return this._typeRegistry.has(typeName);
+    return this._typeRegistry.has(typeName) || (!!this._parent && this._parent.hasType(typeName));
   }
 
   /**
-   * Get all registered type names
+   * Get all registered type names, including the inherited ones
    * @returns {string[]}
    */
   getRegisteredTypes() {
-    return Array.from(this._typeRegistry.keys());
+    const inherited = this._parent ? this._parent.getRegisteredTypes() : [];
+    return [...new Set([...inherited, ...this._typeRegistry.keys()])];
+  }
+
+  /**
+   * Get the definition of a type, registered with this factory or inherited
+   * @param {string} typeName - The type name
+   * @returns {{ create: Function, update: Function|null, reset: Function|null }|undefined}
+   * @private
+   */
+  _getType(typeName) {
+    return this._typeRegistry.get(typeName) || (this._parent ? this._parent._getType(typeName) : undefined);
+  }
+
+  /**
+   * Get the THREE.js library reference passed to creators by default
+   * @returns {object|null} - This factory's, or else its parent's
+   */
+  getTHREE() {
+    return this._THREE || (this._parent ? this._parent.getTHREE() : null);
+  }
+
+  /**
+   * Set the THREE.js library reference passed to creators by default
+   * @param {object} THREE - The THREE.js library reference
+   * @returns {NodeObjectFactory} - This factory, for chaining
+   */
+  setTHREE(THREE) {
+    this._THREE = THREE;
+    return this;
   }
 
   /**
@@ -87,54 +144,88 @@ class NodeObjectFactory {
   }
 
   /**
-   * Get or create a cached material
+   * Get or create a cached material, shared between the objects using it. Animations get
+   * copies of their own, and update functions mutating a material should use ownMaterial().
    * @param {string} key - Cache key for the material
    * @param {Function} createFn - Function to create material if not cached
    * @returns {THREE.Material}
    */
   getMaterial(key, createFn) {
     if (!this._materialCache.has(key)) {
-      this._materialCache.set(key, createFn());
+      this._materialCache.set(key, markSharedMaterial(createFn()));
     }
     return this._materialCache.get(key);
   }
 
+  /**
+   * Get the material of an object to mutate, replacing a shared (e.g. cached) material with
+   * a copy of its own, so that the other objects sharing it are left untouched
+   * @param {THREE.Object3D} obj - The object
+   * @returns {THREE.Material|null} - The material of the object
+   */
+  ownMaterial(obj) {
+    return ownMaterial(obj);
+  }
+
+  /**
+   * Give an object its shared material back instead of its own copy, if the copy has the
+   * same values again, e.g. once an update reverted it
+   * @param {THREE.Object3D} obj - The object
+   * @param {boolean} [force=false] - Whether to restore the shared material even if the copy differs
+   * @returns {boolean} - Whether the shared material was restored
+   */
+  restoreSharedMaterial(obj, force = false) {
+    return restoreSharedMaterial(obj, force);
+  }
+
   /**
    * Create a THREE object for a node based on its type
    * @param {object} node - The node data object
    * @param {object} THREE - The THREE.js library reference
    * @param {string} [typeAttribute='nodeThreeObjectType'] - The node attribute to read the type from
+   * @param {string|number} [nodeId] - The id to track the object by, node.id by default
    * @returns {THREE.Object3D|null} - The created object or null if no type specified/found
    */
-  createObject(node, THREE, typeAttribute = 'nodeThreeObjectType') {
+  createObject(node, THREE, typeAttribute = 'nodeThreeObjectType', nodeId = getDefaultNodeId(node)) {
     const typeName = node[typeAttribute];
 
     if (!typeName) {
       return null; // No type specified, use default
     }
 
-    const creatorFn = this._typeRegistry.get(typeName);
+    const type = this._getType(typeName);
 
-    if (!creatorFn) {
+    if (!type) {
       console.warn(`Node object type "${typeName}" not registered. Using default.`);
       return null;
     }
 
     try {
-      // Try to get object from pool first
+      // Try to get object from pool first (inherited types get their pool on first use)
+      !this._objectPools.has(typeName) && this._objectPools.set(typeName, []);
       const pool = this._objectPools.get(typeName);
       let obj;
 
-      if (pool && pool.length > 0) {
-        obj = pool.pop();
-        obj.visible = true;
-      } else {
+      // Skip pooled objects that lost children, e.g. emptied when removed from the scene
+      while (!obj && pool.length > 0) {
+        const pooled = pool.pop();
+        const info = this._objectInfo.get(pooled);
+        if (info && numChildren(pooled) < info.numChildren) {
+          this._disposeObject(pooled);
+        } else {
+          obj = pooled;
+          obj.visible = true;
+          type.reset && type.reset(obj, node, THREE, this);
+        }
+      }
+
+      if (!obj) {
         // Create new object, passing factory for cache access
-        obj = creatorFn(node, THREE, this);
+        obj = type.create(node, THREE, this);
+        this._objectInfo.set(obj, { typeName, numChildren: numChildren(obj), transform: getTransform(obj) });
       }
 
       // Track active object by node id
-      const nodeId = node.id !== undefined ? node.id : node;
       this._activeObjects.set(nodeId, { object: obj, typeName });
 
       return obj;
@@ -145,22 +236,62 @@ class NodeObjectFactory {
   }
 
   /**
-   * Release an object back to the pool for reuse
-   * @param {string|number} nodeId - The node id whose object to release
+   * Update the active object of a node in place to the current attributes of the node, with the
+   * update function of its type. Objects can't be updated in place if their type has no update
+   * function, or if the node has another type by now. Objects with a copy of their own of a shared
+   * material (e.g. while animated) get a copy of the material they're updated to.
+   * @param {object} node - The node data object
+   * @param {object} [THREE] - The THREE.js library reference, defaults to the factory's (see setTHREE)
+   * @param {string} [typeAttribute='nodeThreeObjectType'] - The node attribute to read the type from
+   * @param {string|number} [nodeId] - The id the object is tracked by, node.id by default
+   * @returns {boolean} - Whether the object was updated
    */
-  releaseObject(nodeId) {
+  updateObject(node, THREE = this.getTHREE(), typeAttribute = 'nodeThreeObjectType', nodeId = getDefaultNodeId(node)) {
     const entry = this._activeObjects.get(nodeId);
-    if (entry) {
-      const { object, typeName } = entry;
-      object.visible = false;
+    if (!entry || entry.typeName !== node[typeAttribute]) return false;
 
-      const pool = this._objectPools.get(typeName);
-      if (pool) {
-        pool.push(object);
+    const type = this._getType(entry.typeName);
+    if (!type || !type.update) return false;
+
+    try {
+      const obj = entry.object;
+      const prevMaterial = obj.material;
+      type.update(obj, node, THREE, this);
+
+      if (obj.material !== prevMaterial && isOwnMaterial(prevMaterial)) {
+        disposeOwnMaterial(prevMaterial);
+        ownMaterial(obj);
       }
+      return true;
+    } catch (error) {
+      console.error(`Error updating node object of type "${entry.typeName}":`, error);
+      return false;
+    }
+  }
 
-      this._activeObjects.delete(nodeId);
+  /**
+   * Release an object back to the pool for reuse. Pooled objects are hidden and restored to
+   * their transform (position, rotation and scale) as created, and to their shared material.
+   * @param {string|number} nodeId - The node id whose object to release
+   * @param {THREE.Object3D} [object] - The object to release, if not the node's active one anymore
+   * (e.g. replaced by an object of another type). Only released if created by this factory.
+   */
+  releaseObject(nodeId, object) {
+    const entry = this._activeObjects.get(nodeId);
+    const isActive = !!entry && (object === undefined || entry.object === object);
+    const info = isActive ? entry : object && this._objectInfo.get(object);
+    if (!info) return;
+
+    const releasedObject = isActive ? entry.object : object;
+    const pool = this._objectPools.get(info.typeName);
+    if (pool && !pool.includes(releasedObject)) {
+      setTransform(releasedObject, this._objectInfo.get(releasedObject).transform);
+      releasedObject.material && restoreSharedMaterial(releasedObject, true);
+      releasedObject.visible = false;
+      pool.push(releasedObject);
     }
+
+    isActive && this._activeObjects.delete(nodeId);
   }
 
   /**
@@ -168,10 +299,10 @@ class NodeObjectFactory {
    * @param {THREE.Object3D} obj - The object to dispose
    */
   _disposeObject(obj) {
-    if (obj.geometry && !this._geometryCache.has(obj.geometry)) {
+    if (obj.geometry && !isCached(this._geometryCache, obj.geometry)) {
       obj.geometry.dispose();
     }
-    if (obj.material && !this._materialCache.has(obj.material)) {
+    if (obj.material && !isCached(this._materialCache, obj.material)) {
       if (Array.isArray(obj.material)) {
         obj.material.forEach(m => m.dispose());
       } else {
@@ -221,14 +352,15 @@ class NodeObjectFactory {
 
   /**
    * Create a nodeThreeObject accessor function that uses the factory
-   * @param {object} THREE - The THREE.js library reference
+   * @param {object} [THREE] - The THREE.js library reference, defaults to the factory's (see setTHREE)
    * @param {Function} [fallbackAccessor] - Optional fallback accessor for nodes without a type
    * @param {string} [typeAttribute='nodeThreeObjectType'] - The node attribute to read the type from
+   * @param {Function} [getNodeId] - Node id getter, to track the objects by (node.id by default)
    * @returns {Function} - An accessor function compatible with nodeThreeObject
    */
-  createAccessor(THREE, fallbackAccessor = null, typeAttribute = 'nodeThreeObjectType') {
-    return (node) => {
-      const factoryObject = this.createObject(node, THREE, typeAttribute);
+  createAccessor(THREE = this.getTHREE(), fallbackAccessor = null, typeAttribute = 'nodeThreeObjectType', getNodeId = getDefaultNodeId) {
+    const accessor = (node) => {
+      const factoryObject = this.createObject(node, THREE, typeAttribute, getNodeId(node));
 
       if (factoryObject) {
         return factoryObject;
@@ -243,6 +375,11 @@ class NodeObjectFactory {
 
       return null; // Use default sphere
     };
+
+    // Lets graphs given the accessor as nodeThreeObject track the objects of this factory
+    accessor.__nodeObjectFactory = { factory: this, THREE, typeAttribute, getNodeId };
+
+    return accessor;
   }
 
   /**
@@ -282,7 +419,7 @@ class NodeObjectFactory {
     });
 
     return {
-      registeredTypes: this._typeRegistry.size,
+      registeredTypes: this.getRegisteredTypes().length,
       activeObjects: this._activeObjects.size,
       pooledObjects: poolStats,
       cachedGeometries: this._geometryCache.size,
@@ -291,6 +428,34 @@ class NodeObjectFactory {
   }
 }
 
+function getDefaultNodeId(node) {
+  return node.id !== undefined ? node.id : node;
+}
+
+function numChildren(obj) {
+  return obj.children ? obj.children.length : 0;
+}
+
+function isCached(cache, resource) {
+  for (const cached of cache.values()) {
+    if (cached === resource) return true;
+  }
+  return false;
+}
+
+function getTransform(obj) {
+  return obj.position && obj.quaternion && obj.scale
+    ? { position: obj.position.clone(), quaternion: obj.quaternion.clone(), scale: obj.scale.clone() }
+    : null;
+}
+
+function setTransform(obj, transform) {
+  if (!transform) return;
+  obj.position.copy(transform.position);
+  obj.quaternion.copy(transform.quaternion); // also updates the rotation
+  obj.scale.copy(transform.scale);
+}
+
 // Singleton instance
 const instance = new NodeObjectFactory();
 
@@ -12,7 +12,8 @@
 
 export const typeName = 'cube';
 
-export function create(node, THREE, factory) {
+// Geometry and material of a node
+function getLooks(node, THREE, factory) {
   const val = node.val || 1;
   const size = node.cubeSize || Math.cbrt(val) * 4;
   const color = node.color || '#ffffaa';
@@ -37,7 +38,21 @@ export function create(node, THREE, factory) {
         opacity
       });
 
+  return { geometry, material };
+}
+
+export function create(node, THREE, factory) {
+  const { geometry, material } = getLooks(node, THREE, factory);
   return new THREE.Mesh(geometry, material);
 }
 
-export default { typeName, create };
+/**
+ * Update a mesh to the current attributes of its node, or of the node it's reused for
+ */
+export function update(obj, node, THREE, factory) {
+  const { geometry, material } = getLooks(node, THREE, factory);
+  obj.geometry = geometry;
+  obj.material = material;
+}
+
+export default { typeName, create, update };
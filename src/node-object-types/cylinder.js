@@ -15,7 +15,8 @@
 
 export const typeName = 'cylinder';
 
-export function create(node, THREE, factory) {
+// Geometry and material of a node
+function getLooks(node, THREE, factory) {
   const val = node.val || 1;
   const baseSize = Math.cbrt(val) * 4;
   const radiusTop = node.cylinderRadiusTop || baseSize / 2;
@@ -45,7 +46,21 @@ export function create(node, THREE, factory) {
         opacity
       });
 
+  return { geometry, material };
+}
+
+export function create(node, THREE, factory) {
+  const { geometry, material } = getLooks(node, THREE, factory);
   return new THREE.Mesh(geometry, material);
 }
 
-export default { typeName, create };
+/**
+ * Update a mesh to the current attributes of its node, or of the node it's reused for
+ */
+export function update(obj, node, THREE, factory) {
+  const { geometry, material } = getLooks(node, THREE, factory);
+  obj.geometry = geometry;
+  obj.material = material;
+}
+
+export default { typeName, create, update };
@@ -24,7 +24,7 @@ export const builtInTypes = {
  */
 export function registerBuiltInTypes() {
   Object.values(builtInTypes).forEach(typeModule => {
-    nodeObjectFactory.registerType(typeModule.typeName, typeModule.create);
+    nodeObjectFactory.registerType(typeModule.typeName, typeModule.create, { update: typeModule.update });
   });
 }
 
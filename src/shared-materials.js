@@ -0,0 +1,94 @@
+/**
+ * Shared Materials
+ *
+ * Copy-on-write handling of materials shared by several objects, e.g. those
+ * cached by the node object factory. Objects keep the shared material until
+ * something needs to mutate it (e.g. an animation), which then gets a clone of
+ * its own. The shared material is restored once the clone is back to its values.
+ */
+
+// Materials shared between objects, which must not be mutated
+const sharedMaterials = new WeakSet();
+
+// Own copies of the shared materials → their shared material
+const ownMaterials = new WeakMap();
+
+// Material properties compared to tell whether a copy is back to the shared values
+const PROPS = ['color', 'emissive', 'emissiveIntensity', 'opacity', 'transparent', 'visible'];
+
+const sameValue = (a, b) => a && typeof a.equals === 'function' ? a.equals(b) : a === b;
+
+/**
+ * Mark a material as shared between objects
+ * @param {THREE.Material} material - The material
+ * @returns {THREE.Material} The material
+ */
+export function markSharedMaterial(material) {
+  material && typeof material === 'object' && sharedMaterials.add(material);
+  return material;
+}
+
+/**
+ * Check whether a material is shared between objects
+ * @param {THREE.Material} material - The material
+ * @returns {boolean}
+ */
+export function isSharedMaterial(material) {
+  return !!material && typeof material === 'object' && sharedMaterials.has(material);
+}
+
+/**
+ * Check whether a material is an own copy of a shared one
+ * @param {THREE.Material} material - The material
+ * @returns {boolean}
+ */
+export function isOwnMaterial(material) {
+  return !!material && typeof material === 'object' && ownMaterials.has(material);
+}
+
+/**
+ * Get a material of an object that is safe to mutate, replacing a shared one
+ * with a copy of its own (copy-on-write). Arrays of materials are left as is.
+ * @param {THREE.Object3D} object - The object
+ * @returns {THREE.Material|null} The material of the object
+ */
+export function ownMaterial(object) {
+  const material = object.material;
+  if (!isSharedMaterial(material) || typeof material.clone !== 'function') return material || null;
+
+  const copy = material.clone();
+  ownMaterials.set(copy, material);
+  object.material = copy;
+  return copy;
+}
+
+/**
+ * Give an object its shared material back instead of its own copy, and dispose the
+ * copy, if the copy has the same values again (or regardless of them, if forced)
+ * @param {THREE.Object3D} object - The object
+ * @param {boolean} [force=false] - Whether to restore the shared material even if the copy differs
+ * @returns {boolean} Whether the shared material was restored
+ */
+export function restoreSharedMaterial(object, force = false) {
+  const copy = object.material;
+  const material = copy && ownMaterials.get(copy);
+  if (!material) return false;
+  if (!force && !PROPS.every(prop => sameValue(copy[prop], material[prop]))) return false;
+
+  object.material = material;
+  disposeOwnMaterial(copy);
+  return true;
+}
+
+/**
+ * Dispose a material if it's a copy of a shared one, e.g. once replaced on its object
+ * @param {THREE.Material} material - The material
+ * @returns {boolean} Whether the material was an own copy, and got disposed
+ */
+export function disposeOwnMaterial(material) {
+  if (!material || !ownMaterials.has(material)) return false;
+
+  ownMaterials.delete(material);
+  material.dispose && material.dispose();
+  return true;
+}
@@ -2,6 +2,7 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { AnimationManager } from '../src/animation-manager.js';
 import { easing, getEasing } from '../src/animations/easing.js';
 import { registerBuiltInAnimations, builtInAnimations } from '../src/animations/index.js';
+import { markSharedMaterial } from '../src/shared-materials.js';
 
 // Mock THREE.js objects
 function createMockObject3D() {
@@ -301,6 +302,70 @@ describe('AnimationManager', () => {
     });
   });
 
+  describe('applyUpdate', () => {
+    const dimAnimation = {
+      update: (object, state) => {
+        object.material.opacity = 0.1;
+        return state;
+      }
+    };
+
+    it('should run the update without animations', () => {
+      const obj = createMockObject3D();
+      expect(manager.applyUpdate(obj, () => 'updated')).toBe('updated');
+    });
+
+    it('should restore the updated material values when the animations stop', () => {
+      manager.registerAnimation('dim', dimAnimation);
+      const obj = createMockObject3D();
+      const material = obj.material = { opacity: 0.8 };
+      manager.startAnimation(obj, 'dim');
+      manager.tick(0.016);
+
+      const newMaterial = { opacity: 0.5 };
+      const result = manager.applyUpdate(obj, () => {
+        obj.material = newMaterial;
+        return true;
+      });
+
+      expect(result).toBe(true);
+      expect(material.opacity).toBe(0.8);
+      manager.tick(0.016);
+      expect(newMaterial.opacity).toBe(0.1);
+
+      manager.stopAnimation(obj, 'dim', true);
+      expect(obj.material).toBe(newMaterial);
+      expect(newMaterial.opacity).toBe(0.5);
+    });
+
+    it('should animate a copy of a new shared material, disposing the previous copy', () => {
+      manager.registerAnimation('dim', dimAnimation);
+      const createMaterial = opacity => markSharedMaterial({
+        opacity,
+        clone() { return { ...this, dispose: vi.fn() }; },
+        dispose: vi.fn()
+      });
+      const obj = createMockObject3D();
+      const material = obj.material = createMaterial(0.8);
+      manager.startAnimation(obj, 'dim');
+      const copy = obj.material;
+      expect(copy).not.toBe(material);
+
+      const newMaterial = createMaterial(0.5);
+      manager.applyUpdate(obj, () => { obj.material = newMaterial; });
+      manager.tick(0.016);
+
+      expect(copy.dispose).toHaveBeenCalled();
+      expect(material.dispose).not.toHaveBeenCalled();
+      expect(obj.material).not.toBe(newMaterial);
+      expect(newMaterial.opacity).toBe(0.5);
+
+      manager.stopAnimation(obj, 'dim', true);
+      expect(obj.material).toBe(newMaterial);
+      expect(material.opacity).toBe(0.8);
+    });
+  });
+
   describe('getStats', () => {
     it('should return correct statistics', () => {
       manager.registerAnimation('test1', testAnimation);
@@ -407,6 +472,7 @@ describe('Built-in Animations', () => {
       expect(manager.hasAnimation('pulse')).toBe(true);
       expect(manager.hasAnimation('spin')).toBe(true);
       expect(manager.hasAnimation('glow')).toBe(true);
+      expect(manager.hasAnimation('fade')).toBe(true);
     });
   });
 
@@ -457,6 +523,67 @@ describe('Built-in Animations', () => {
       expect(obj.rotation.y).not.toBe(0);
     });
   });
+
+  describe('fade animation', () => {
+    const createMaterial = () => markSharedMaterial({
+      opacity: 0.8,
+      transparent: false,
+      clone() { return { ...this, dispose: vi.fn() }; },
+      dispose: vi.fn()
+    });
+
+    beforeEach(() => {
+      registerBuiltInAnimations(manager);
+    });
+
+    it('should grow and fade in a copy of a shared material', () => {
+      const obj = createMockObject3D();
+      const material = obj.material = createMaterial();
+      manager.startAnimation(obj, 'fade', { duration: 1, easing: 'linear' });
+      manager.tick(0.25);
+
+      expect(obj.scale.x).toBeCloseTo(0.25);
+      expect(obj.material).not.toBe(material);
+      expect(obj.material.opacity).toBeCloseTo(0.2);
+      expect(obj.material.transparent).toBe(true);
+      expect(material.opacity).toBe(0.8);
+      expect(material.transparent).toBe(false);
+
+      const copy = obj.material;
+      manager.stopAnimation(obj, 'fade', true);
+      expect(obj.material).toBe(material);
+      expect(copy.dispose).toHaveBeenCalled();
+      expect(obj.scale.x).toBe(1);
+    });
+
+    it('should shrink and fade out', () => {
+      const obj = createMockObject3D();
+      obj.material = createMaterial();
+      manager.startAnimation(obj, 'fade', { direction: 'out', duration: 1, easing: 'linear' });
+      manager.tick(0.25);
+
+      expect(obj.scale.x).toBeCloseTo(0.75);
+      expect(obj.material.opacity).toBeCloseTo(0.6);
+    });
+
+    it('should fade the material the object is updated to', () => {
+      const obj = createMockObject3D();
+      obj.material = createMaterial();
+      manager.startAnimation(obj, 'fade', { duration: 1, easing: 'linear' });
+      manager.tick(0.25);
+
+      const newMaterial = createMaterial();
+      manager.applyUpdate(obj, () => { obj.material = newMaterial; });
+      manager.tick(0.25);
+
+      expect(obj.material).not.toBe(newMaterial);
+      expect(obj.material.opacity).toBeCloseTo(0.4);
+      expect(newMaterial.opacity).toBe(0.8);
+
+      manager.stopAnimation(obj, 'fade', true);
+      expect(obj.material).toBe(newMaterial);
+    });
+  });
 });
 
 describe('Animation Integration', () => {
@@ -1,5 +1,11 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import ForceGraph3D from '../src/3d-force-graph.js';
+import { createGraphQLAdapter, createFixtureAdapter } from '../src/api-loader/adapters/index.js';
+import { AnimationManager } from '../src/animation-manager.js';
+import * as fade from '../src/animations/fade.js';
+import miserables from '../example/datasets/miserables.json';
+import { ApiError, ApiHttpError, ApiNetworkError, ApiTimeoutError, ApiParseError, ApiValidationError } from '../src/api-loader/errors.js';
+import { ApiRequest } from '../src/api-loader/request.js';
 
 // Mock data
 const mockInitialGraphData = {
@@ -34,6 +40,68 @@ function createMockResponse(data, ok = true, status = 200) {
   };
 }
 
+// Helper to let pending promise callbacks run
+function flushPromises() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// Helper to create a mock NDJSON streaming response, delivering each block in a separate read
+function createMockNdjsonResponse(blocks) {
+  const encoder = new TextEncoder();
+  const queue = blocks.map(block => encoder.encode(block));
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: name => name.toLowerCase() === 'content-type' ? 'application/x-ndjson' : null },
+    body: {
+      getReader: () => ({
+        read: () => Promise.resolve(queue.length
+          ? { done: false, value: queue.shift() }
+          : { done: true, value: undefined })
+      })
+    }
+  };
+}
+
+// Mock server side of live update channels, standing in for WebSocket / EventSource connections
+function createMockLiveServer() {
+  const server = { connections: [] };
+
+  class MockConnection {
+    constructor(url) {
+      this.url = url;
+      this.readyState = 0;
+      this.closed = false;
+      server.connections.push(this);
+    }
+
+    close() {
+      this.closed = true;
+      this.readyState = 2;
+    }
+  }
+
+  server.WebSocket = class extends MockConnection {};
+  server.EventSource = class extends MockConnection {};
+
+  server.last = () => server.connections[server.connections.length - 1];
+  server.open = () => {
+    const conn = server.last();
+    conn.readyState = 1;
+    conn.onopen && conn.onopen({});
+  };
+  server.send = message => server.last().onmessage({
+    data: typeof message === 'string' ? message : JSON.stringify(message)
+  });
+  server.drop = () => {
+    const conn = server.last();
+    conn.readyState = 2;
+    conn instanceof server.WebSocket ? conn.onclose({}) : conn.onerror({});
+  };
+
+  return server;
+}
+
 describe('API Loader', () => {
   let container;
   let graph;
@@ -189,7 +257,7 @@ describe('API Loader', () => {
         .onApiError(onApiError);
 
       await expect(graph.initGraphFromApi()).rejects.toThrow('Network error');
-      expect(onApiError).toHaveBeenCalledWith(error, 'initGraphFromApi');
+      expect(onApiError).toHaveBeenCalledWith(expect.objectContaining({ name: 'ApiNetworkError', cause: error }), 'initGraphFromApi', expect.objectContaining({ attempts: 1, cancelled: false }));
     });
 
     it('should call onApiError callback on HTTP error', async () => {
@@ -200,7 +268,7 @@ describe('API Loader', () => {
         .onApiError(onApiError);
 
       await expect(graph.initGraphFromApi()).rejects.toThrow('HTTP error! status: 404');
-      expect(onApiError).toHaveBeenCalledWith(expect.any(Error), 'initGraphFromApi');
+      expect(onApiError).toHaveBeenCalledWith(expect.any(Error), 'initGraphFromApi', expect.any(Object));
     });
 
     it('should handle numeric dimensionId', async () => {
@@ -214,6 +282,104 @@ describe('API Loader', () => {
     });
   });
 
+  describe('Paginated and streaming initial load', () => {
+    const page1 = {
+      nodes: [{ id: 'node1' }, { id: 'node2' }],
+      links: [{ source: 'node1', target: 'node2' }, { source: 'node2', target: 'node3' }],
+      nextCursor: 'abc'
+    };
+    const page2 = {
+      nodes: [{ id: 'node3' }],
+      links: [],
+      nextCursor: null
+    };
+
+    it('should follow the next cursor until exhausted', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse(page1))
+        .mockResolvedValueOnce(createMockResponse(page2));
+
+      graph = new ForceGraph3D(container);
+      const result = await graph.initGraphFromApi('dim');
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      const [secondUrl] = global.fetch.mock.calls[1];
+      expect(secondUrl).toContain('cursor=abc');
+      expect(secondUrl).toContain('dimensionId=dim');
+      expect(result.nodes.map(n => n.id)).toEqual(['node1', 'node2', 'node3']);
+      expect(result.links.length).toBe(2);
+    });
+
+    it('should support custom cursor param and field names', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({ ...page1, nextCursor: undefined, next: 'p2' }))
+        .mockResolvedValueOnce(createMockResponse(page2));
+
+      graph = new ForceGraph3D(container)
+        .apiCursorParam('page')
+        .apiNextCursorField('next');
+      await graph.initGraphFromApi();
+
+      const [secondUrl] = global.fetch.mock.calls[1];
+      expect(secondUrl).toContain('page=p2');
+    });
+
+    it('should hold back links until both endpoints are loaded', async () => {
+      let resolveSecondPage;
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse(page1))
+        .mockReturnValueOnce(new Promise(resolve => { resolveSecondPage = resolve; }));
+
+      graph = new ForceGraph3D(container).pauseAnimation();
+      const loading = graph.initGraphFromApi();
+
+      await flushPromises();
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(graph.graphData().nodes.length).toBe(2);
+      expect(graph.graphData().links.length).toBe(1);
+
+      resolveSecondPage(createMockResponse(page2));
+      await loading;
+      expect(graph.graphData().links.length).toBe(2);
+    });
+
+    it('should append NDJSON chunks as they arrive', async () => {
+      global.fetch.mockResolvedValueOnce(createMockNdjsonResponse([
+        '{"nodes":[{"id":"a"},{"id":"b"}]}\n{"links":[{"source":"a","target":"b"}]}\n{"nodes":',
+        '[{"id":"c"}],"links":[{"source":"b","target":"c"}]}\n'
+      ]));
+
+      const onApiProgress = vi.fn();
+      graph = new ForceGraph3D(container)
+        .onApiProgress(onApiProgress);
+      const result = await graph.initGraphFromApi();
+
+      expect(result.nodes.map(n => n.id)).toEqual(['a', 'b', 'c']);
+      expect(result.links.length).toBe(2);
+      expect(onApiProgress).toHaveBeenCalledWith({ nodes: 2, links: 1, chunks: 1, done: false }, 'initGraphFromApi');
+      expect(onApiProgress).toHaveBeenLastCalledWith({ nodes: 3, links: 2, chunks: 2, done: true }, 'initGraphFromApi');
+    });
+
+    it('should show loading progress in the info element', async () => {
+      let resolveSecondPage;
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse(page1))
+        .mockReturnValueOnce(new Promise(resolve => { resolveSecondPage = resolve; }));
+
+      graph = new ForceGraph3D(container).pauseAnimation();
+      const loading = graph.initGraphFromApi();
+      const infoElem = container.querySelector('.graph-info-msg');
+
+      await flushPromises();
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(infoElem.textContent).toBe('Loading... (2 nodes)');
+
+      resolveSecondPage(createMockResponse(page2));
+      await loading;
+      expect(infoElem.textContent).toBe('');
+    });
+  });
+
   describe('loadNextNodes', () => {
     beforeEach(async () => {
       // Initialize graph with some data first
@@ -344,7 +510,7 @@ describe('API Loader', () => {
       graph.onApiError(onApiError);
 
       await expect(graph.loadNextNodes(['node3'])).rejects.toThrow('Network failure');
-      expect(onApiError).toHaveBeenCalledWith(error, 'loadNextNodes');
+      expect(onApiError).toHaveBeenCalledWith(expect.objectContaining({ name: 'ApiNetworkError', cause: error }), 'loadNextNodes', expect.objectContaining({ attempts: 1, cancelled: false }));
     });
 
     it('should call onApiError callback on HTTP error', async () => {
@@ -354,7 +520,7 @@ describe('API Loader', () => {
       graph.onApiError(onApiError);
 
       await expect(graph.loadNextNodes(['node3'])).rejects.toThrow('HTTP error! status: 500');
-      expect(onApiError).toHaveBeenCalledWith(expect.any(Error), 'loadNextNodes');
+      expect(onApiError).toHaveBeenCalledWith(expect.any(Error), 'loadNextNodes', expect.any(Object));
     });
 
     it('should handle multiple nodeIds', async () => {
@@ -367,6 +533,2535 @@ describe('API Loader', () => {
     });
   });
 
+  describe('loadNextNodes batching and deduplication', () => {
+    const expansionData = {
+      nodes: [{ id: 'a' }, { id: 'b' }],
+      links: [{ source: 'node1', target: 'a' }, { source: 'node2', target: 'b' }]
+    };
+
+    beforeEach(async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({
+        nodes: mockInitialGraphData.nodes.map(node => ({ ...node })),
+        links: []
+      }));
+      graph = new ForceGraph3D(container).pauseAnimation();
+      await graph.initGraphFromApi();
+      vi.clearAllMocks();
+    });
+
+    it('should coalesce calls made in the same tick into one request', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse(expansionData));
+
+      const [resultA, resultB] = await Promise.all([
+        graph.loadNextNodes(['node1']),
+        graph.loadNextNodes(['node2'])
+      ]);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ nodeIds: ['node1', 'node2'] });
+      expect(resultA.nodes.map(n => n.id)).toEqual(['a']);
+      expect(resultA.links.length).toBe(1);
+      expect(resultB.nodes.map(n => n.id)).toEqual(['b']);
+      expect(resultB.links.length).toBe(1);
+    });
+
+    it('should coalesce calls made within the batch window', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse(expansionData));
+
+      graph.apiBatchWindow(20);
+      const loadingA = graph.loadNextNodes(['node1']);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const loadingB = graph.loadNextNodes(['node2']);
+      await Promise.all([loadingA, loadingB]);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not request ids that are already in flight', async () => {
+      let resolveFetch;
+      global.fetch.mockReturnValueOnce(new Promise(resolve => { resolveFetch = resolve; }));
+
+      const loadingA = graph.loadNextNodes(['node1']);
+      await flushPromises();
+      const loadingB = graph.loadNextNodes(['node1']);
+      await flushPromises();
+
+      resolveFetch(createMockResponse({ nodes: [{ id: 'a' }], links: [{ source: 'node1', target: 'a' }] }));
+      const [resultA, resultB] = await Promise.all([loadingA, loadingB]);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(resultA.nodes.map(n => n.id)).toEqual(['a']);
+      expect(resultB.nodes.map(n => n.id)).toEqual(['a']);
+    });
+
+    it('should skip ids that are already loaded', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse(expansionData));
+      await graph.loadNextNodes(['node1']);
+
+      const result = await graph.loadNextNodes(['node1']);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({ nodes: [], links: [] });
+    });
+
+    it('should only request the ids not yet loaded or in flight', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({ nodes: [{ id: 'a' }], links: [{ source: 'node1', target: 'a' }] }))
+        .mockResolvedValueOnce(createMockResponse({ nodes: [{ id: 'b' }], links: [{ source: 'node2', target: 'b' }] }));
+      await graph.loadNextNodes(['node1']);
+
+      const result = await graph.loadNextNodes(['node1', 'node2']);
+
+      expect(JSON.parse(global.fetch.mock.calls[1][1].body)).toEqual({ nodeIds: ['node2'] });
+      expect(result.nodes.map(n => n.id)).toEqual(['b']);
+    });
+
+    it('should keep a shared request alive when only one caller cancels', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse(expansionData));
+
+      const controller = new AbortController();
+      const loadingA = graph.loadNextNodes(['node1'], { signal: controller.signal });
+      const loadingB = graph.loadNextNodes(['node1', 'node2']);
+      controller.abort();
+
+      await expect(loadingA).rejects.toMatchObject({ name: 'AbortError' });
+      const resultB = await loadingB;
+      expect(resultB.nodes.map(n => n.id)).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('collapseNodes', () => {
+    const nodeIdsOf = () => graph.graphData().nodes.map(n => n.id).sort();
+
+    beforeEach(async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({
+        nodes: mockInitialGraphData.nodes.map(node => ({ ...node })),
+        links: mockInitialGraphData.links.map(link => ({ ...link }))
+      }));
+      graph = new ForceGraph3D(container);
+      await graph.initGraphFromApi();
+      vi.clearAllMocks();
+    });
+
+    it('should return empty result for empty nodeIds array', () => {
+      expect(graph.collapseNodes([])).toEqual({ nodes: [], links: [] });
+    });
+
+    it('should remove the nodes and links brought in by an expansion', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({
+        nodes: [{ id: 'node4' }, { id: 'node5' }],
+        links: [{ source: 'node3', target: 'node4' }, { source: 'node4', target: 'node5' }]
+      }));
+      await graph.loadNextNodes(['node3']);
+
+      const removed = graph.collapseNodes(['node3']);
+
+      expect(removed.nodes.map(n => n.id).sort()).toEqual(['node4', 'node5']);
+      expect(removed.links.length).toBe(2);
+      expect(nodeIdsOf()).toEqual(['node1', 'node2', 'node3']);
+      expect(graph.graphData().links.length).toBe(2);
+    });
+
+    it('should keep neighbours shared with other expansions', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({
+          nodes: [{ id: 'shared' }],
+          links: [{ source: 'node1', target: 'shared' }]
+        }))
+        .mockResolvedValueOnce(createMockResponse({
+          nodes: [{ id: 'shared' }],
+          links: [{ source: 'node2', target: 'shared' }]
+        }));
+      await graph.loadNextNodes(['node1']);
+      await graph.loadNextNodes(['node2']);
+
+      const removed = graph.collapseNodes(['node1']);
+      expect(removed.nodes).toEqual([]);
+      expect(removed.links.length).toBe(1);
+      expect(nodeIdsOf()).toContain('shared');
+
+      graph.collapseNodes(['node2']);
+      expect(nodeIdsOf()).not.toContain('shared');
+    });
+
+    it('should never remove elements that were not brought in by an expansion', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({
+        nodes: [{ id: 'node2' }, { id: 'node4' }],
+        links: [{ source: 'node1', target: 'node2' }, { source: 'node1', target: 'node4' }]
+      }));
+      await graph.loadNextNodes(['node1']);
+
+      graph.collapseNodes(['node1']);
+
+      expect(nodeIdsOf()).toEqual(['node1', 'node2', 'node3']);
+      expect(graph.graphData().links.length).toBe(2);
+    });
+
+    it('should cascade into expansions of removed nodes', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({
+          nodes: [{ id: 'node4' }],
+          links: [{ source: 'node3', target: 'node4' }]
+        }))
+        .mockResolvedValueOnce(createMockResponse({
+          nodes: [{ id: 'node5' }],
+          links: [{ source: 'node4', target: 'node5' }]
+        }));
+      await graph.loadNextNodes(['node3']);
+      await graph.loadNextNodes(['node4']);
+
+      const removed = graph.collapseNodes(['node3']);
+
+      expect(removed.nodes.map(n => n.id).sort()).toEqual(['node4', 'node5']);
+      expect(nodeIdsOf()).toEqual(['node1', 'node2', 'node3']);
+    });
+
+    it('should attribute elements of a multi-node expansion to their linked nodes', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({
+        nodes: [{ id: 'a' }, { id: 'b' }],
+        links: [{ source: 'node1', target: 'a' }, { source: 'node2', target: 'b' }]
+      }));
+      await graph.loadNextNodes(['node1', 'node2']);
+
+      const removed = graph.collapseNodes(['node1']);
+
+      expect(removed.nodes.map(n => n.id)).toEqual(['a']);
+      expect(nodeIdsOf()).toContain('b');
+    });
+
+    it('should forget expansions when the graph is re-initialised', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({
+          nodes: [{ id: 'node4' }],
+          links: [{ source: 'node3', target: 'node4' }]
+        }))
+        .mockResolvedValueOnce(createMockResponse({
+          nodes: [{ id: 'node3' }, { id: 'node4' }],
+          links: [{ source: 'node3', target: 'node4' }]
+        }));
+      await graph.loadNextNodes(['node3']);
+      await graph.initGraphFromApi();
+
+      expect(graph.collapseNodes(['node3'])).toEqual({ nodes: [], links: [] });
+      expect(nodeIdsOf()).toEqual(['node3', 'node4']);
+    });
+  });
+
+  describe('Cancellation, timeouts and retries', () => {
+    it('should cancel a superseded initGraphFromApi call', async () => {
+      let resolveFirst;
+      global.fetch
+        .mockReturnValueOnce(new Promise(resolve => { resolveFirst = resolve; }))
+        .mockResolvedValueOnce(createMockResponse({ nodes: mockNextNodesData.nodes, links: [] }));
+
+      const onApiError = vi.fn();
+      graph = new ForceGraph3D(container)
+        .onApiError(onApiError);
+
+      const first = graph.initGraphFromApi('dim-1');
+      const second = graph.initGraphFromApi('dim-2');
+
+      await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+      await second;
+      resolveFirst(createMockResponse(mockInitialGraphData));
+      await flushPromises();
+
+      expect(graph.graphData().nodes.map(n => n.id)).toEqual(['node4', 'node5']);
+      expect(onApiError).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'AbortError' }),
+        'initGraphFromApi',
+        expect.objectContaining({ cancelled: true })
+      );
+    });
+
+    it('should cancel pending loadNextNodes when a new graph is initialised', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse(mockInitialGraphData))
+        .mockReturnValueOnce(new Promise(() => {}))
+        .mockResolvedValueOnce(createMockResponse(mockInitialGraphData));
+
+      graph = new ForceGraph3D(container);
+      await graph.initGraphFromApi();
+
+      const loading = graph.loadNextNodes(['node3']);
+      await flushPromises(); // let the request be sent
+      const reloading = graph.initGraphFromApi();
+
+      await expect(loading).rejects.toMatchObject({ name: 'AbortError' });
+      await reloading;
+    });
+
+    it('should support cancelling via an external signal', async () => {
+      global.fetch.mockReturnValueOnce(new Promise(() => {}));
+
+      graph = new ForceGraph3D(container);
+      const controller = new AbortController();
+      const loading = graph.loadNextNodes(['node3'], { signal: controller.signal });
+      controller.abort();
+
+      await expect(loading).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('should not load anything for an already aborted signal', async () => {
+      global.fetch.mockResolvedValue(createMockResponse(mockNextNodesData));
+
+      graph = new ForceGraph3D(container);
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(graph.loadNextNodes(['node3'], { signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+      await flushPromises();
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(graph.graphData().nodes).toHaveLength(0);
+    });
+
+    it('should cancel all requests with cancelApiRequests', async () => {
+      global.fetch.mockReturnValue(new Promise(() => {}));
+
+      graph = new ForceGraph3D(container);
+      const loadingA = graph.loadNextNodes(['a']);
+      const loadingB = graph.loadNextNodes(['b']);
+      graph.cancelApiRequests();
+
+      await expect(loadingA).rejects.toMatchObject({ name: 'AbortError' });
+      await expect(loadingB).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('should time out requests', async () => {
+      global.fetch.mockReturnValueOnce(new Promise(() => {}));
+
+      const onApiError = vi.fn();
+      graph = new ForceGraph3D(container)
+        .apiTimeout(5)
+        .onApiError(onApiError);
+
+      await expect(graph.initGraphFromApi()).rejects.toThrow('Request timed out after 5ms');
+      expect(onApiError).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'ApiTimeoutError' }),
+        'initGraphFromApi',
+        expect.objectContaining({ timedOut: true, attempts: 1 })
+      );
+      expect(onApiError.mock.calls[0][0]).toBeInstanceOf(ApiTimeoutError);
+    });
+
+    it('should retry 5xx errors with backoff', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({}, false, 503))
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce(createMockResponse(mockInitialGraphData));
+
+      graph = new ForceGraph3D(container)
+        .apiRetries(2)
+        .apiRetryDelay(1);
+      const result = await graph.initGraphFromApi();
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(result.nodes.length).toBe(3);
+    });
+
+    it('should not retry 4xx errors', async () => {
+      global.fetch.mockResolvedValue(createMockResponse({}, false, 404));
+
+      const onApiError = vi.fn();
+      graph = new ForceGraph3D(container)
+        .apiRetries(3)
+        .apiRetryDelay(1)
+        .onApiError(onApiError);
+
+      await expect(graph.loadNextNodes(['node1'])).rejects.toThrow('HTTP error! status: 404');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report the number of attempts when retries are exhausted', async () => {
+      global.fetch.mockResolvedValue(createMockResponse({}, false, 500));
+
+      const onApiError = vi.fn();
+      graph = new ForceGraph3D(container)
+        .apiRetries(2)
+        .apiRetryDelay(1)
+        .onApiError(onApiError);
+
+      await expect(graph.loadNextNodes(['node1'])).rejects.toThrow('HTTP error! status: 500');
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(onApiError).toHaveBeenCalledWith(
+        expect.any(Error),
+        'loadNextNodes',
+        expect.objectContaining({ attempts: 3, cancelled: false, timedOut: false })
+      );
+    });
+
+    describe('with a long-lived signal', () => {
+      // Abort listeners currently registered on a signal
+      const trackListeners = signal => {
+        const listeners = new Set();
+        const add = signal.addEventListener.bind(signal);
+        const remove = signal.removeEventListener.bind(signal);
+        signal.addEventListener = (type, listener, options) => { listeners.add(listener); add(type, listener, options); };
+        signal.removeEventListener = (type, listener) => { listeners.delete(listener); remove(type, listener); };
+        return listeners;
+      };
+
+      it('should not leave listeners on the signal of settled calls', async () => {
+        global.fetch.mockImplementation(() => Promise.resolve(createMockResponse(mockInitialGraphData)));
+        const controller = new AbortController();
+        const listeners = trackListeners(controller.signal);
+
+        graph = new ForceGraph3D(container).pauseAnimation();
+        await graph.initGraphFromApi(undefined, { signal: controller.signal });
+        await graph.loadNextNodes(['node1'], { signal: controller.signal });
+        await graph.loadNextNodes(['node2'], { signal: controller.signal });
+
+        expect(listeners.size).toBe(0);
+      });
+
+      it('should not leave listeners on the signal of settled requests and retries', async () => {
+        global.fetch
+          .mockResolvedValueOnce(createMockResponse({}, false, 503))
+          .mockResolvedValueOnce(createMockResponse(mockInitialGraphData));
+        const controller = new AbortController();
+        const listeners = trackListeners(controller.signal);
+
+        const request = new ApiRequest('/graph', {}, { signal: controller.signal, timeout: 1000, retries: 1, retryDelay: 1 });
+        await request.send();
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(listeners.size).toBe(0);
+      });
+    });
+  });
+
+  describe('Response cache', () => {
+    // Helper to create a mock response carrying an ETag
+    const withEtag = (response, etag) => ({
+      ...response,
+      headers: { get: name => name.toLowerCase() === 'etag' ? etag : null }
+    });
+
+    it('should not cache responses by default', async () => {
+      global.fetch.mockImplementation(() => Promise.resolve(createMockResponse(mockInitialGraphData)));
+
+      graph = new ForceGraph3D(container).pauseAnimation();
+      await graph.initGraphFromApi('dim-1');
+      await graph.initGraphFromApi('dim-1');
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should serve repeated initial loads of a dimension from the cache', async () => {
+      global.fetch.mockImplementation(() => Promise.resolve(createMockResponse(mockInitialGraphData)));
+
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiCache(true);
+
+      await graph.initGraphFromApi('dim-1');
+      const result = await graph.initGraphFromApi('dim-1');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(result.nodes.map(n => n.id)).toEqual(['node1', 'node2', 'node3']);
+
+      await graph.initGraphFromApi('dim-2');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return a copy unaffected by changes to previously loaded data', async () => {
+      global.fetch.mockImplementation(() => Promise.resolve(createMockResponse(mockInitialGraphData)));
+
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiCache(true);
+
+      const first = await graph.initGraphFromApi();
+      first.nodes[0].name = 'Changed';
+      const second = await graph.initGraphFromApi();
+
+      expect(second.nodes[0]).not.toBe(first.nodes[0]);
+      expect(second.nodes[0].name).toBe('Node 1');
+    });
+
+    it('should serve re-expansions of collapsed nodes from the cache', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse(mockInitialGraphData))
+        .mockResolvedValueOnce(createMockResponse(mockNextNodesData));
+
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiCache(true);
+
+      await graph.initGraphFromApi();
+      await graph.loadNextNodes(['node3']);
+      graph.collapseNodes(['node3']);
+      const result = await graph.loadNextNodes(['node3']);
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(result.nodes.map(n => n.id)).toEqual(['node4', 'node5']);
+      expect(graph.graphData().nodes.length).toBe(5);
+    });
+
+    it('should refetch responses once expired', async () => {
+      global.fetch.mockImplementation(() => Promise.resolve(createMockResponse(mockInitialGraphData)));
+
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiCache({ ttl: 0 });
+
+      await graph.initGraphFromApi();
+      await graph.initGraphFromApi();
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should evict the least recently used responses over maxSize', async () => {
+      global.fetch.mockImplementation(() => Promise.resolve(createMockResponse(mockInitialGraphData)));
+
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiCache({ maxSize: 2 });
+
+      await graph.initGraphFromApi('dim-1');
+      await graph.initGraphFromApi('dim-2');
+      await graph.initGraphFromApi('dim-1'); // hit
+      await graph.initGraphFromApi('dim-3'); // evicts dim-2
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+
+      await graph.initGraphFromApi('dim-1'); // hit
+      await graph.initGraphFromApi('dim-2'); // miss
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+
+    it('should revalidate expired responses with If-None-Match', async () => {
+      global.fetch
+        .mockResolvedValueOnce(withEtag(createMockResponse(mockInitialGraphData), '"v1"'))
+        .mockResolvedValueOnce(withEtag(createMockResponse(null, false, 304), '"v1"'));
+
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiCache({ ttl: 0 });
+
+      await graph.initGraphFromApi();
+      const result = await graph.initGraphFromApi();
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(global.fetch.mock.calls[0][1].headers).toBeUndefined();
+      expect(global.fetch.mock.calls[1][1].headers).toEqual({ 'If-None-Match': '"v1"' });
+      expect(result.nodes.map(n => n.id)).toEqual(['node1', 'node2', 'node3']);
+    });
+
+    it('should invalidate cached responses by dimension, node ids or entirely', async () => {
+      global.fetch.mockImplementation((url, options) => Promise.resolve(createMockResponse(
+        options.method === 'POST' ? mockNextNodesData : mockInitialGraphData
+      )));
+
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiCache(true);
+
+      await graph.initGraphFromApi('dim-1');
+      await graph.loadNextNodes(['node3']);
+      await graph.initGraphFromApi('dim-2');
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+
+      expect(graph.invalidateApiCache({ nodeIds: ['node3'] })).toBe(1);
+      expect(graph.invalidateApiCache({ dimensionId: 'dim-1' })).toBe(1);
+      await graph.initGraphFromApi('dim-1');
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+
+      expect(graph.invalidateApiCache()).toBe(2);
+      await graph.initGraphFromApi('dim-2');
+      expect(global.fetch).toHaveBeenCalledTimes(5);
+    });
+  });
+
+  describe('API adapters', () => {
+    it('should use the REST adapter by default', () => {
+      graph = new ForceGraph3D(container);
+      expect(typeof graph.apiAdapter().init).toBe('function');
+      expect(typeof graph.apiAdapter().expand).toBe('function');
+    });
+
+    it('should load and expand the graph through a custom adapter', async () => {
+      const adapter = {
+        init: vi.fn(() => Promise.resolve(mockInitialGraphData)),
+        expand: vi.fn(() => Promise.resolve(mockNextNodesData))
+      };
+
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiAdapter(adapter);
+
+      await graph.initGraphFromApi('dim-1');
+      const result = await graph.loadNextNodes(['node3']);
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(adapter.init).toHaveBeenCalledWith('dim-1', expect.objectContaining({ graph, signal: expect.any(AbortSignal) }));
+      expect(adapter.expand).toHaveBeenCalledWith(['node3'], expect.objectContaining({ graph }));
+      expect(result.nodes.map(n => n.id)).toEqual(['node4', 'node5']);
+      expect(graph.graphData().nodes.length).toBe(5);
+    });
+
+    it('should let custom adapters deliver the initial graph in chunks', async () => {
+      const onApiProgress = vi.fn();
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .onApiProgress(onApiProgress)
+        .apiAdapter({
+          init: (dimensionId, { onChunk }) => {
+            onChunk(mockInitialGraphData);
+            return Promise.resolve(mockNextNodesData);
+          },
+          expand: () => Promise.resolve({ nodes: [], links: [] })
+        });
+
+      const result = await graph.initGraphFromApi();
+
+      expect(result.nodes.length).toBe(5);
+      expect(onApiProgress).toHaveBeenLastCalledWith(expect.objectContaining({ chunks: 2, done: true }), 'initGraphFromApi');
+    });
+
+    it('should route custom adapter requests through fetchJson', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({ result: mockInitialGraphData }));
+
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiRetries(1)
+        .apiAdapter({
+          init: (dimensionId, { fetchJson }) => fetchJson('https://rpc.example.com', {
+            method: 'POST',
+            body: JSON.stringify({ jsonrpc: '2.0', method: 'graph.init', params: [dimensionId], id: 1 })
+          }).then(({ result }) => result),
+          expand: () => Promise.resolve({ nodes: [], links: [] })
+        });
+
+      const result = await graph.initGraphFromApi('dim-1');
+
+      expect(global.fetch).toHaveBeenCalledWith('https://rpc.example.com', expect.objectContaining({ method: 'POST' }));
+      expect(result.nodes.length).toBe(3);
+    });
+
+    it('should report custom adapter failures to onApiError', async () => {
+      const onApiError = vi.fn();
+      graph = new ForceGraph3D(container)
+        .onApiError(onApiError)
+        .apiAdapter({
+          init: () => Promise.reject(new Error('RPC failure')),
+          expand: () => Promise.reject(new Error('RPC failure'))
+        });
+
+      await expect(graph.initGraphFromApi()).rejects.toThrow('RPC failure');
+      await expect(graph.loadNextNodes(['node1'])).rejects.toThrow('RPC failure');
+      expect(onApiError).toHaveBeenCalledWith(expect.any(Error), 'initGraphFromApi', expect.objectContaining({ attempts: 0 }));
+      expect(onApiError).toHaveBeenCalledWith(expect.any(Error), 'loadNextNodes', expect.objectContaining({ attempts: 0 }));
+    });
+
+    describe('GraphQL adapter', () => {
+      const initQuery = 'query Init($dimensionId: ID) { graph(dimensionId: $dimensionId) { nodes { id } links { source target } } }';
+      const expandQuery = 'query Expand($ids: [ID!]!) { neighbourhood(ids: $ids) { nodes { id } links { source target } } }';
+
+      it('should send queries with mapped variables and extract the graph data', async () => {
+        global.fetch
+          .mockResolvedValueOnce(createMockResponse({ data: { graph: mockInitialGraphData } }))
+          .mockResolvedValueOnce(createMockResponse({ data: { neighbourhood: mockNextNodesData } }));
+
+        graph = new ForceGraph3D(container)
+          .pauseAnimation()
+          .apiBaseUrl('https://api.example.com')
+          .apiFetchOptions({ headers: { Authorization: 'Bearer token' } })
+          .apiAdapter(createGraphQLAdapter({
+            initQuery,
+            expandQuery,
+            expandVariables: nodeIds => ({ ids: nodeIds })
+          }));
+
+        await graph.initGraphFromApi('dim-1');
+        const result = await graph.loadNextNodes(['node3']);
+
+        const [url, options] = global.fetch.mock.calls[0];
+        expect(url).toBe('https://api.example.com/graphql');
+        expect(options.method).toBe('POST');
+        expect(options.headers).toEqual({ 'Content-Type': 'application/json', Authorization: 'Bearer token' });
+        expect(JSON.parse(options.body)).toEqual({ query: initQuery, variables: { dimensionId: 'dim-1' } });
+        expect(JSON.parse(global.fetch.mock.calls[1][1].body)).toEqual({ query: expandQuery, variables: { ids: ['node3'] } });
+        expect(result.nodes.map(n => n.id)).toEqual(['node4', 'node5']);
+      });
+
+      it('should support custom endpoints and result mappers', async () => {
+        global.fetch.mockResolvedValueOnce(createMockResponse({ data: { dimension: { graph: mockInitialGraphData } } }));
+
+        graph = new ForceGraph3D(container)
+          .pauseAnimation()
+          .apiAdapter(createGraphQLAdapter({
+            endpoint: '/api/gql',
+            initQuery,
+            initResult: data => data.dimension.graph
+          }));
+
+        const result = await graph.initGraphFromApi();
+
+        expect(global.fetch.mock.calls[0][0]).toContain('/api/gql');
+        expect(result.nodes.length).toBe(3);
+      });
+
+      it('should reject on GraphQL errors without caching them', async () => {
+        global.fetch
+          .mockResolvedValueOnce(createMockResponse({ errors: [{ message: 'Unknown dimension' }] }))
+          .mockResolvedValueOnce(createMockResponse({ data: { graph: mockInitialGraphData } }));
+
+        graph = new ForceGraph3D(container)
+          .pauseAnimation()
+          .apiCache(true)
+          .apiAdapter(createGraphQLAdapter({ initQuery }));
+
+        await expect(graph.initGraphFromApi('dim-1')).rejects.toThrow('GraphQL error: Unknown dimension');
+        const result = await graph.initGraphFromApi('dim-1');
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(result.nodes.length).toBe(3);
+      });
+
+      it('should reject when the needed query is not configured', async () => {
+        graph = new ForceGraph3D(container)
+          .apiAdapter(createGraphQLAdapter({ initQuery }));
+
+        await expect(graph.loadNextNodes(['node1'])).rejects.toThrow('no expandQuery configured');
+      });
+    });
+  });
+
+  describe('Live updates', () => {
+    let server;
+    let originalWebSocket;
+    let originalEventSource;
+
+    beforeEach(() => {
+      server = createMockLiveServer();
+      originalWebSocket = global.WebSocket;
+      originalEventSource = global.EventSource;
+      global.WebSocket = server.WebSocket;
+      global.EventSource = server.EventSource;
+
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .graphData({
+          nodes: mockInitialGraphData.nodes.map(node => ({ ...node })),
+          links: mockInitialGraphData.links.map(link => ({ ...link }))
+        });
+    });
+
+    afterEach(() => {
+      global.WebSocket = originalWebSocket;
+      global.EventSource = originalEventSource;
+    });
+
+    const nodeIdsOf = () => graph.graphData().nodes.map(n => n.id);
+
+    it('should connect over WebSocket for ws:// URLs', () => {
+      graph.apiLiveUrl('wss://live.example.com/graph').connectLiveUpdates();
+      expect(server.last()).toBeInstanceOf(server.WebSocket);
+      expect(server.last().url).toBe('wss://live.example.com/graph');
+
+      server.open();
+      expect(graph.isLiveConnected()).toBe(true);
+    });
+
+    it('should connect over Server-Sent Events for other URLs, resolved against apiBaseUrl', () => {
+      graph
+        .apiBaseUrl('https://api.example.com')
+        .apiLiveUrl('/graph-updates')
+        .connectLiveUpdates();
+
+      expect(server.last()).toBeInstanceOf(server.EventSource);
+      expect(server.last().url).toBe('https://api.example.com/graph-updates');
+    });
+
+    it('should add nodes and links, keeping the existing node objects in place', () => {
+      const node1 = graph.graphData().nodes[0];
+      node1.x = 42;
+
+      graph.apiLiveUrl('ws://localhost/live').connectLiveUpdates();
+      server.open();
+      server.send({ op: 'add', nodes: [{ id: 'node4' }], links: [{ source: 'node3', target: 'node4' }] });
+
+      expect(nodeIdsOf()).toEqual(['node1', 'node2', 'node3', 'node4']);
+      expect(graph.graphData().links.length).toBe(3);
+      expect(graph.graphData().nodes[0]).toBe(node1);
+      expect(node1.x).toBe(42);
+    });
+
+    it('should evict nodes over the budget to make room for added ones', () => {
+      const onNodesEvicted = vi.fn();
+      graph
+        .maxNodes(3)
+        .onNodesEvicted(onNodesEvicted)
+        .apiLiveUrl('ws://localhost/live')
+        .connectLiveUpdates();
+      server.open();
+      server.send({ op: 'add', nodes: [{ id: 'node4' }], links: [{ source: 'node3', target: 'node4' }] });
+
+      expect(nodeIdsOf()).toHaveLength(3);
+      expect(nodeIdsOf()).toContain('node4');
+      expect(onNodesEvicted).toHaveBeenCalledTimes(1);
+      expect(onNodesEvicted.mock.calls[0][0].nodes).toHaveLength(1);
+    });
+
+    it('should update nodes and links in place', () => {
+      const node2 = graph.graphData().nodes[1];
+      const link = graph.graphData().links[0];
+
+      graph.apiLiveUrl('ws://localhost/live').connectLiveUpdates();
+      server.open();
+      server.send({
+        op: 'update',
+        nodes: [{ id: 'node2', name: 'Renamed' }],
+        links: [{ source: 'node1', target: 'node2', weight: 3 }]
+      });
+
+      expect(graph.graphData().nodes[1]).toBe(node2);
+      expect(node2.name).toBe('Renamed');
+      expect(graph.graphData().links[0]).toBe(link);
+      expect(link.weight).toBe(3);
+    });
+
+    it('should remove nodes along with their links', () => {
+      graph.apiLiveUrl('ws://localhost/live').connectLiveUpdates();
+      server.open();
+      server.send({ op: 'remove', nodes: ['node3'] });
+
+      expect(nodeIdsOf()).toEqual(['node1', 'node2']);
+      expect(graph.graphData().links.length).toBe(1);
+    });
+
+    it('should apply batches of deltas and report the changes to onLiveUpdate', () => {
+      const onLiveUpdate = vi.fn();
+      graph
+        .onLiveUpdate(onLiveUpdate)
+        .apiLiveUrl('ws://localhost/live')
+        .connectLiveUpdates();
+      server.open();
+
+      const deltas = [
+        { op: 'add', nodes: [{ id: 'node4' }] },
+        { op: 'remove', links: [{ source: 'node1', target: 'node2' }] },
+        { op: 'update', nodes: [{ id: 'unknown', name: 'Ignored' }] }
+      ];
+      server.send(deltas);
+
+      expect(onLiveUpdate).toHaveBeenCalledTimes(1);
+      const [changes, receivedDeltas] = onLiveUpdate.mock.calls[0];
+      expect(receivedDeltas).toEqual(deltas);
+      expect(changes.added.nodes.map(n => n.id)).toEqual(['node4']);
+      expect(changes.removed.links.length).toBe(1);
+      expect(changes.updated).toEqual({ nodes: [], links: [] });
+    });
+
+    it('should ignore added links referencing unknown nodes', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      graph.apiLiveUrl('ws://localhost/live').connectLiveUpdates();
+      server.open();
+      server.send({ op: 'add', links: [{ source: 'node1', target: 'missing' }] });
+
+      expect(graph.graphData().links.length).toBe(2);
+      expect(warnSpy).toHaveBeenCalledWith('ForceGraph3D: Ignoring 1 links referencing unknown nodes');
+      warnSpy.mockRestore();
+    });
+
+    it('should report malformed messages to onApiError', () => {
+      const onApiError = vi.fn();
+      graph
+        .onApiError(onApiError)
+        .apiLiveUrl('ws://localhost/live')
+        .connectLiveUpdates();
+      server.open();
+      server.send('not json');
+
+      expect(onApiError).toHaveBeenCalledWith(expect.any(SyntaxError), 'connectLiveUpdates', expect.objectContaining({ url: 'ws://localhost/live' }));
+      expect(nodeIdsOf()).toEqual(['node1', 'node2', 'node3']);
+    });
+
+    it('should report messages that are not deltas to onApiError', () => {
+      const onApiError = vi.fn();
+      graph
+        .onApiError(onApiError)
+        .apiLiveUrl('ws://localhost/live')
+        .connectLiveUpdates();
+      server.open();
+      server.send('null');
+      server.send(JSON.stringify({ op: 'add', nodes: {} }));
+      server.send(JSON.stringify([{ op: 'remove', nodes: ['node1'] }, 42]));
+
+      expect(onApiError).toHaveBeenCalledTimes(3);
+      expect(onApiError).toHaveBeenCalledWith(expect.any(ApiValidationError), 'connectLiveUpdates', expect.objectContaining({ url: 'ws://localhost/live' }));
+      expect(nodeIdsOf()).toEqual(['node1', 'node2', 'node3']);
+
+      server.send(JSON.stringify({ op: 'add', nodes: [{ id: 'node4' }] })); // links may be omitted
+      expect(nodeIdsOf()).toEqual(['node1', 'node2', 'node3', 'node4']);
+    });
+
+    it('should reconnect with backoff when the connection is lost', async () => {
+      const onApiError = vi.fn();
+      graph
+        .onApiError(onApiError)
+        .apiLiveUrl('ws://localhost/live')
+        .apiLiveReconnectDelay(1)
+        .connectLiveUpdates();
+      server.open();
+      server.drop();
+
+      expect(graph.isLiveConnected()).toBe(false);
+      expect(onApiError).toHaveBeenCalledWith(expect.any(Error), 'connectLiveUpdates', expect.objectContaining({ cancelled: false }));
+
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(server.connections.length).toBe(2);
+      expect(server.connections[0].closed).toBe(true);
+
+      server.open();
+      server.send({ op: 'add', nodes: [{ id: 'node4' }] });
+      expect(nodeIdsOf()).toContain('node4');
+    });
+
+    it('should stop reconnecting once disconnected', async () => {
+      graph
+        .apiLiveUrl('ws://localhost/live')
+        .apiLiveReconnectDelay(1)
+        .connectLiveUpdates();
+      server.open();
+      server.drop();
+      graph.disconnectLiveUpdates();
+
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(server.connections.length).toBe(1);
+      expect(graph.isLiveConnected()).toBe(false);
+    });
+
+    it('should close the connection when the graph is destroyed', () => {
+      graph.apiLiveUrl('ws://localhost/live').connectLiveUpdates();
+      server.open();
+      const connection = server.last();
+
+      graph._destructor();
+      graph = null;
+
+      expect(connection.closed).toBe(true);
+    });
+  });
+
+  describe('Merging existing nodes', () => {
+    const refreshedData = {
+      nodes: [
+        { id: 'node3', status: 'active', count: 7 },
+        { id: 'node4', name: 'Node 4' }
+      ],
+      links: [{ source: 'node3', target: 'node4' }]
+    };
+
+    const loadAndExpand = strategy => {
+      // Clone the mocks, as merging mutates the existing nodes
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse(JSON.parse(JSON.stringify(mockInitialGraphData))))
+        .mockResolvedValueOnce(createMockResponse(refreshedData));
+
+      graph = new ForceGraph3D(container).pauseAnimation();
+      strategy !== undefined && graph.apiNodeMergeStrategy(strategy);
+
+      return graph.initGraphFromApi().then(() => {
+        const node3 = graph.graphData().nodes.find(n => n.id === 'node3');
+        Object.assign(node3, { x: 10, y: 20, z: 30, __internal: true });
+        return graph.loadNextNodes(['node3']).then(() => node3);
+      });
+    };
+
+    it('should ignore existing nodes by default', async () => {
+      const node3 = await loadAndExpand();
+
+      expect(graph.apiNodeMergeStrategy()).toBe('ignore');
+      expect(node3.status).toBeUndefined();
+      expect(node3.name).toBe('Node 3');
+    });
+
+    it('should shallow-merge attributes into existing nodes in place', async () => {
+      const node3 = await loadAndExpand('shallow-merge');
+
+      const merged = graph.graphData().nodes.find(n => n.id === 'node3');
+      expect(merged).toBe(node3);
+      expect(merged).toMatchObject({ name: 'Node 3', val: 15, status: 'active', count: 7, x: 10, y: 20, z: 30 });
+    });
+
+    it('should replace the data of existing nodes, keeping layout and internal fields', async () => {
+      const node3 = await loadAndExpand('replace');
+
+      const replaced = graph.graphData().nodes.find(n => n.id === 'node3');
+      expect(replaced).toBe(node3);
+      expect(replaced.name).toBeUndefined();
+      expect(replaced.val).toBeUndefined();
+      expect(replaced).toMatchObject({ id: 'node3', status: 'active', count: 7, x: 10, y: 20, z: 30 });
+      expect(replaced.__internal).toBe(true);
+    });
+
+    it('should support custom merge functions', async () => {
+      const strategy = vi.fn((existing, incoming) => { existing.count = (existing.count || 0) + incoming.count; });
+      const node3 = await loadAndExpand(strategy);
+
+      expect(strategy).toHaveBeenCalledTimes(1);
+      expect(strategy).toHaveBeenCalledWith(node3, refreshedData.nodes[0]);
+      expect(node3.count).toBe(7);
+    });
+
+    it('should re-evaluate the visuals of merged nodes', async () => {
+      await loadAndExpand('shallow-merge');
+      graph.nodeColor('color');
+
+      global.fetch.mockResolvedValueOnce(createMockResponse({ nodes: [{ id: 'node2', color: '#ff0000' }], links: [] }));
+      await graph.loadNextNodes(['node1']);
+      await new Promise(resolve => setTimeout(resolve, 5)); // let the graph be digested
+
+      const node2 = graph.graphData().nodes.find(n => n.id === 'node2');
+      expect(node2.__threeObj.material.color.getHexString()).toBe('ff0000');
+    });
+  });
+
+  describe('Link identity', () => {
+    const initWith = links => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({ nodes: mockInitialGraphData.nodes, links }));
+      return graph.initGraphFromApi();
+    };
+
+    beforeEach(() => {
+      graph = new ForceGraph3D(container).pauseAnimation();
+    });
+
+    it('should keep parallel links of different types', async () => {
+      await initWith([{ source: 'node1', target: 'node2', type: 'calls' }]);
+
+      global.fetch.mockResolvedValueOnce(createMockResponse({
+        nodes: [],
+        links: [
+          { source: 'node1', target: 'node2', type: 'calls' },
+          { source: 'node1', target: 'node2', type: 'imports' }
+        ]
+      }));
+      const result = await graph.loadNextNodes(['node1']);
+
+      expect(result.links.map(l => l.type)).toEqual(['imports']);
+      expect(graph.graphData().links.length).toBe(2);
+    });
+
+    it('should identify links with the linkId accessor', async () => {
+      graph.linkId('uid');
+      await initWith([{ uid: 'l1', source: 'node1', target: 'node2' }]);
+
+      global.fetch.mockResolvedValueOnce(createMockResponse({
+        nodes: [],
+        links: [
+          { uid: 'l1', source: 'node1', target: 'node2' },
+          { uid: 'l2', source: 'node1', target: 'node2' },
+          { source: 'node2', target: 'node3' }
+        ]
+      }));
+      const result = await graph.loadNextNodes(['node2']);
+
+      expect(result.links.map(l => l.uid)).toEqual(['l2', undefined]);
+      expect(graph.graphData().links.length).toBe(3);
+    });
+
+    it('should keep reverse links by default', async () => {
+      await initWith([{ source: 'node1', target: 'node2' }]);
+
+      global.fetch.mockResolvedValueOnce(createMockResponse({ nodes: [], links: [{ source: 'node2', target: 'node1' }] }));
+      await graph.loadNextNodes(['node2']);
+
+      expect(graph.graphData().links.length).toBe(2);
+    });
+
+    it('should dedupe reverse links of undirected graphs', async () => {
+      graph.linkUndirected(true);
+      await initWith([{ source: 'node1', target: 'node2' }]);
+
+      global.fetch.mockResolvedValueOnce(createMockResponse({
+        nodes: [{ id: 'node4' }],
+        links: [
+          { source: 'node2', target: 'node1' },
+          { source: 'node4', target: 'node2' },
+          { source: 'node2', target: 'node4' }
+        ]
+      }));
+      const result = await graph.loadNextNodes(['node2']);
+
+      expect(result.links.length).toBe(1);
+      expect(graph.graphData().links.length).toBe(2);
+    });
+
+    it('should collapse parallel links independently of other expansions', async () => {
+      await initWith([]);
+
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({ nodes: [], links: [{ source: 'node1', target: 'node2', type: 'calls' }] }))
+        .mockResolvedValueOnce(createMockResponse({ nodes: [], links: [{ source: 'node1', target: 'node2', type: 'imports' }] }));
+      await graph.loadNextNodes(['node1']);
+      await graph.loadNextNodes(['node2']);
+
+      const removed = graph.collapseNodes(['node1']);
+
+      expect(removed.links.map(l => l.type)).toEqual(['calls']);
+      expect(graph.graphData().links.map(l => l.type)).toEqual(['imports']);
+    });
+  });
+
+  describe('Expansion positions', () => {
+    const distance = (a, b) => Math.hypot(a.x - b.x, (a.y || 0) - (b.y || 0), (a.z || 0) - (b.z || 0));
+    const getNode = id => graph.graphData().nodes.find(n => n.id === id);
+
+    // Fresh copies, as the shared mocks get positioned by the layout in other tests
+    const initAndPosition = () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({
+        nodes: ['node1', 'node2', 'node3'].map(id => ({ id })),
+        links: [{ source: 'node1', target: 'node2' }, { source: 'node2', target: 'node3' }]
+      }));
+      return graph.initGraphFromApi().then(() => {
+        graph.graphData().nodes.forEach((node, i) => Object.assign(node, { x: 100 * i, y: 50, z: -20 }));
+      });
+    };
+
+    const expand = (nextData = {
+      nodes: [{ id: 'node4' }, { id: 'node5' }],
+      links: [{ source: 'node3', target: 'node4' }, { source: 'node4', target: 'node5' }]
+    }) => {
+      global.fetch.mockResolvedValueOnce(createMockResponse(nextData));
+      return graph.loadNextNodes(['node3']);
+    };
+
+    beforeEach(() => {
+      graph = new ForceGraph3D(container).pauseAnimation();
+    });
+
+    it('should start new nodes on a sphere around the expanded node', async () => {
+      await initAndPosition();
+      await expand();
+
+      const node3 = getNode('node3');
+      const node4 = getNode('node4');
+      const node5 = getNode('node5');
+      expect(distance(node4, node3)).toBeCloseTo(10);
+      expect(distance(node5, node3)).toBeCloseTo(10);
+      expect(distance(node4, node5)).toBeGreaterThan(1);
+    });
+
+    it('should respect the number of dimensions', async () => {
+      graph.numDimensions(2).expansionSeedRadius(5);
+      await initAndPosition();
+      await expand();
+
+      const node3 = getNode('node3');
+      const node4 = getNode('node4');
+      expect(node4.z).toBeUndefined();
+      expect(Math.hypot(node4.x - node3.x, node4.y - node3.y)).toBeCloseTo(5);
+    });
+
+    it('should not seed positions when the radius is 0', async () => {
+      graph.expansionSeedRadius(0);
+      await initAndPosition();
+      await expand();
+
+      // Left to the layout's default placement
+      expect(distance(getNode('node4'), getNode('node3'))).not.toBeCloseTo(10);
+    });
+
+    it('should keep positions provided by the server', async () => {
+      await initAndPosition();
+      await expand({ nodes: [{ id: 'node6', x: 1, y: 2, z: 3 }], links: [{ source: 'node3', target: 'node6' }] });
+
+      expect(getNode('node6')).toMatchObject({ x: 1, y: 2, z: 3 });
+    });
+
+    it('should temporarily pin existing nodes', async () => {
+      graph.expansionPinDuration(10);
+      await initAndPosition();
+      getNode('node1').fx = 7; // pinned by the user
+
+      await expand();
+
+      expect(getNode('node2')).toMatchObject({ fx: 100, fy: 50, fz: -20 });
+      expect(getNode('node4').fx).toBeUndefined();
+
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(getNode('node2').fx).toBeUndefined();
+      expect(getNode('node1').fx).toBe(7);
+    });
+  });
+
+  describe('Node expansion state', () => {
+    const getNode = id => graph.graphData().nodes.find(n => n.id === id);
+    const freshNextData = () => ({
+      nodes: [{ id: 'node4' }, { id: 'node5' }],
+      links: [{ source: 'node3', target: 'node4' }, { source: 'node4', target: 'node5' }]
+    });
+
+    beforeEach(async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({
+        nodes: ['node1', 'node2', 'node3'].map(id => ({ id })),
+        links: [{ source: 'node1', target: 'node2' }, { source: 'node2', target: 'node3' }]
+      }));
+      graph = new ForceGraph3D(container).pauseAnimation();
+      await graph.initGraphFromApi();
+    });
+
+    it('should track the expansion state of nodes', async () => {
+      let resolveFetch;
+      global.fetch.mockReturnValueOnce(new Promise(resolve => { resolveFetch = resolve; }));
+
+      expect(graph.nodeExpansionState('node3')).toBe('collapsed');
+
+      const loading = graph.loadNextNodes(['node3']);
+      expect(graph.nodeExpansionState('node3')).toBe('loading');
+      expect(graph.nodeExpansionState(getNode('node3'))).toBe('loading');
+
+      await flushPromises();
+      resolveFetch(createMockResponse(freshNextData()));
+      await loading;
+      expect(graph.nodeExpansionState('node3')).toBe('expanded');
+      expect(graph.nodeExpansionState('node4')).toBe('collapsed');
+
+      graph.collapseNodes(['node3']);
+      expect(graph.nodeExpansionState('node3')).toBe('collapsed');
+    });
+
+    it('should mark nodes whose expansion failed, and reset cancelled ones', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({}, false, 500));
+      await expect(graph.loadNextNodes(['node3'])).rejects.toThrow();
+      expect(graph.nodeExpansionState('node3')).toBe('failed');
+
+      global.fetch.mockReturnValueOnce(new Promise(() => {}));
+      const controller = new AbortController();
+      const loading = graph.loadNextNodes(['node2'], { signal: controller.signal });
+      controller.abort();
+      await expect(loading).rejects.toMatchObject({ name: 'AbortError' });
+      await flushPromises();
+      expect(graph.nodeExpansionState('node2')).toBe('collapsed');
+    });
+
+    it('should toggle between expanding and collapsing nodes', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse(freshNextData()));
+
+      graph.toggleNodeExpansion(getNode('node3'));
+      graph.toggleNodeExpansion(getNode('node3')); // ignored while loading
+      await flushPromises();
+      await flushPromises();
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(graph.nodeExpansionState('node3')).toBe('expanded');
+      expect(graph.graphData().nodes.length).toBe(5);
+
+      graph.toggleNodeExpansion(getNode('node3'));
+      expect(graph.nodeExpansionState('node3')).toBe('collapsed');
+      expect(graph.graphData().nodes.length).toBe(3);
+    });
+
+    it('should play the loading animation while the request is in flight', async () => {
+      const manager = new AnimationManager();
+      manager.registerAnimation('blink', { update: (object, state) => state });
+      graph
+        .setAnimationManager(manager)
+        .expandLoadingAnimation('blink');
+      await new Promise(resolve => setTimeout(resolve, 5)); // let the node objects be created
+
+      let resolveFetch;
+      global.fetch.mockReturnValueOnce(new Promise(resolve => { resolveFetch = resolve; }));
+
+      const node3 = getNode('node3');
+      const loading = graph.loadNextNodes(['node3']);
+      expect(graph.isNodeAnimating(node3, 'blink')).toBe(true);
+
+      await flushPromises();
+      resolveFetch(createMockResponse(freshNextData()));
+      await loading;
+      expect(graph.isNodeAnimating(node3, 'blink')).toBe(false);
+    });
+
+    it('should stop the loading animation of nodes staying across a dimension switch', async () => {
+      const manager = new AnimationManager();
+      manager.registerAnimation('blink', { update: (object, state) => state });
+      graph
+        .setAnimationManager(manager)
+        .expandLoadingAnimation('blink');
+      await new Promise(resolve => setTimeout(resolve, 5)); // let the node objects be created
+
+      global.fetch.mockResolvedValueOnce(createMockResponse({ nodes: [{ id: 'node3' }], links: [] }));
+
+      const node3 = getNode('node3');
+      const loading = graph.loadNextNodes(['node3']);
+      expect(graph.isNodeAnimating(node3, 'blink')).toBe(true);
+
+      await graph.switchDimension('other');
+      await expect(loading).rejects.toMatchObject({ name: 'AbortError' });
+
+      expect(getNode('node3')).toBe(node3);
+      expect(graph.isNodeAnimating(node3, 'blink')).toBe(false);
+    });
+
+    it('should re-evaluate node visuals when the expansion state changes', async () => {
+      graph.nodeColor(node => graph.nodeExpansionState(node) === 'expanded' ? '#00ff00' : '#ffffff');
+      global.fetch.mockResolvedValueOnce(createMockResponse(freshNextData()));
+
+      await graph.loadNextNodes(['node3']);
+      await new Promise(resolve => setTimeout(resolve, 5)); // let the graph be digested
+
+      expect(getNode('node3').__threeObj.material.color.getHexString()).toBe('00ff00');
+      expect(getNode('node2').__threeObj.material.color.getHexString()).toBe('ffffff');
+    });
+  });
+
+  describe('Node budget and eviction', () => {
+    const nodeIdsOf = () => graph.graphData().nodes.map(n => n.id);
+
+    // Chain node1 - node2 - node3
+    const init = () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({
+        nodes: ['node1', 'node2', 'node3'].map(id => ({ id })),
+        links: [{ source: 'node1', target: 'node2' }, { source: 'node2', target: 'node3' }]
+      }));
+      return graph.initGraphFromApi();
+    };
+
+    const expand = (nodeId, newIds) => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({
+        nodes: newIds.map(id => ({ id })),
+        links: newIds.map(id => ({ source: nodeId, target: id }))
+      }));
+      return graph.loadNextNodes([nodeId]);
+    };
+
+    beforeEach(async () => {
+      graph = new ForceGraph3D(container).pauseAnimation();
+      await init();
+    });
+
+    it('should not evict nodes without a budget', async () => {
+      const onNodesEvicted = vi.fn();
+      graph.onNodesEvicted(onNodesEvicted);
+
+      await expand('node3', ['node4', 'node5']);
+
+      expect(nodeIdsOf().length).toBe(5);
+      expect(onNodesEvicted).not.toHaveBeenCalled();
+    });
+
+    it('should evict the least recently expanded nodes over the budget', async () => {
+      const onNodesEvicted = vi.fn();
+      graph
+        .maxNodes(4)
+        .onNodesEvicted(onNodesEvicted);
+
+      await expand('node3', ['node4', 'node5']);
+      expect(nodeIdsOf()).toEqual(['node2', 'node3', 'node4', 'node5']);
+      expect(onNodesEvicted).toHaveBeenCalledTimes(1);
+      const [{ nodes: evictedNodes, links: evictedLinks }] = onNodesEvicted.mock.calls[0];
+      expect(evictedNodes.map(n => n.id)).toEqual(['node1']);
+      expect(evictedLinks).toHaveLength(1);
+
+      await expand('node5', ['node6']);
+      expect(nodeIdsOf()).toEqual(['node3', 'node4', 'node5', 'node6']);
+      expect(graph.graphData().links.length).toBe(3);
+    });
+
+    it('should evict the farthest nodes from the expanded ones', async () => {
+      graph
+        .maxNodes(4)
+        .evictionPolicy('farthest');
+
+      await expand('node1', ['node4', 'node5']);
+
+      expect(nodeIdsOf()).toEqual(['node1', 'node2', 'node4', 'node5']);
+    });
+
+    it('should measure distances from the focus node, if set', async () => {
+      graph
+        .maxNodes(4)
+        .evictionPolicy('farthest')
+        .evictionFocusNode('node3');
+
+      await expand('node1', ['node4']);
+
+      expect(nodeIdsOf()).toEqual(['node1', 'node2', 'node3', 'node4']);
+
+      await expand('node4', ['node5']);
+      expect(nodeIdsOf()).toEqual(['node2', 'node3', 'node4', 'node5']);
+    });
+
+    it('should support custom eviction policies', async () => {
+      const policy = vi.fn((candidates, count) => candidates.slice(-count).map(node => node.id));
+      graph
+        .maxNodes(4)
+        .evictionPolicy(policy);
+
+      await expand('node1', ['node4', 'node5']);
+
+      expect(policy).toHaveBeenCalledWith(
+        [expect.objectContaining({ id: 'node2' }), expect.objectContaining({ id: 'node3' })],
+        1,
+        { focusIds: ['node1'] }
+      );
+      expect(nodeIdsOf()).toEqual(['node1', 'node2', 'node4', 'node5']);
+    });
+
+    it('should forget the expansions of evicted nodes', async () => {
+      graph.maxNodes(4);
+
+      await expand('node3', ['node4']);
+      await expand('node4', ['node5']);
+      await expand('node5', ['node6']);
+
+      expect(nodeIdsOf()).toEqual(['node3', 'node4', 'node5', 'node6']);
+      expect(graph.nodeExpansionState('node3')).toBe('expanded');
+
+      await expand('node6', ['node7']);
+      expect(nodeIdsOf()).toEqual(['node4', 'node5', 'node6', 'node7']);
+      expect(graph.nodeExpansionState('node3')).toBe('collapsed');
+
+      // Collapsing still removes the elements of the remaining expansions
+      graph.collapseNodes(['node5']);
+      expect(nodeIdsOf()).toEqual(['node4', 'node5']);
+    });
+  });
+
+  describe('Request and response middleware', () => {
+    it('should let request interceptors rewrite the url and headers', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse(mockInitialGraphData));
+
+      const fetchOptions = { headers: { 'X-App': 'demo' } };
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiBaseUrl('https://api.example.com')
+        .apiFetchOptions(fetchOptions)
+        .apiRequestInterceptors([
+          req => ({ ...req, url: req.url.replace('/graph-data', '/v2/graph') }),
+          req => Promise.resolve().then(() => { req.options.headers.Authorization = 'Bearer abc'; })
+        ]);
+
+      await graph.initGraphFromApi();
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://api.example.com/v2/graph');
+      expect(options.headers).toEqual({ 'X-App': 'demo', Authorization: 'Bearer abc' });
+      expect(fetchOptions.headers).toEqual({ 'X-App': 'demo' }); // configured options left untouched
+    });
+
+    it('should let request interceptors rewrite the body of expansions', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse(mockInitialGraphData))
+        .mockResolvedValueOnce(createMockResponse({ nodes: [], links: [] }));
+
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiRequestInterceptors([req => {
+          req.options.method === 'POST' && (req.options.body = JSON.stringify({ ids: JSON.parse(req.options.body).nodeIds }));
+        }]);
+
+      await graph.initGraphFromApi();
+      await graph.loadNextNodes(['node3']);
+
+      const [, options] = global.fetch.mock.calls[1];
+      expect(JSON.parse(options.body)).toEqual({ ids: ['node3'] });
+    });
+
+    it('should apply response transformers before merging', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({
+          vertices: [{ id: 'a' }, { id: 'b' }],
+          edges: [{ from: 'a', to: 'b' }]
+        }))
+        .mockResolvedValueOnce(createMockResponse({
+          vertices: [{ id: 'c' }],
+          edges: [{ from: 'b', to: 'c' }]
+        }));
+
+      const toGraphData = vi.fn(({ vertices, edges }) => ({
+        nodes: vertices,
+        links: edges.map(({ from, to }) => ({ source: from, target: to }))
+      }));
+
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiResponseTransformers([toGraphData]);
+
+      await graph.initGraphFromApi();
+      await graph.loadNextNodes(['b']);
+
+      expect(toGraphData.mock.calls.map(([, methodName]) => methodName)).toEqual(['initGraphFromApi', 'loadNextNodes']);
+
+      const { nodes, links } = graph.graphData();
+      expect(nodes.map(n => n.id)).toEqual(['a', 'b', 'c']);
+      const endpointId = endpoint => typeof endpoint === 'object' ? endpoint.id : endpoint;
+      expect(links.map(l => [endpointId(l.source), endpointId(l.target)])).toEqual([['a', 'b'], ['b', 'c']]);
+    });
+
+    it('should refresh credentials and replay a request rejected with a 401 once', async () => {
+      let token = 'expired';
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({}, false, 401))
+        .mockResolvedValueOnce(createMockResponse(mockInitialGraphData));
+
+      const refresh = vi.fn(() => Promise.resolve().then(() => { token = 'fresh'; }));
+
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiRequestInterceptors([req => { req.options.headers.Authorization = `Bearer ${token}`; }])
+        .apiAuthRefresh(refresh);
+
+      const result = await graph.initGraphFromApi();
+
+      expect(refresh).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer expired');
+      expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer fresh');
+      expect(result.nodes).toHaveLength(3);
+    });
+
+    it('should fail when the replayed request is rejected again', async () => {
+      global.fetch.mockImplementation(() => Promise.resolve(createMockResponse({}, false, 401)));
+
+      const refresh = vi.fn(() => Promise.resolve());
+      const onApiError = vi.fn();
+
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiAuthRefresh(refresh)
+        .onApiError(onApiError);
+
+      await expect(graph.initGraphFromApi()).rejects.toThrow('401');
+
+      expect(refresh).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(onApiError.mock.calls[0][2].attempts).toBe(2);
+    });
+
+    it('should not replay 401 responses without an auth refresh', async () => {
+      global.fetch.mockImplementation(() => Promise.resolve(createMockResponse({}, false, 401)));
+
+      graph = new ForceGraph3D(container).pauseAnimation();
+
+      await expect(graph.initGraphFromApi()).rejects.toThrow('401');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should share a single refresh between concurrently rejected requests', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse(mockInitialGraphData))
+        .mockResolvedValueOnce(createMockResponse({}, false, 401))
+        .mockResolvedValueOnce(createMockResponse({}, false, 401))
+        .mockImplementation(() => Promise.resolve(createMockResponse({ nodes: [], links: [] })));
+
+      const refresh = vi.fn(() => new Promise(resolve => setTimeout(resolve, 5)));
+
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiAuthRefresh(refresh);
+
+      await graph.initGraphFromApi();
+      const first = graph.loadNextNodes(['node1']);
+      await flushPromises(); // send the second expansion separately, while credentials are refreshed
+      await Promise.all([first, graph.loadNextNodes(['node2'])]);
+
+      expect(refresh).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledTimes(5);
+    });
+
+    it('should fail with the refresh error when credentials cannot be refreshed', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({}, false, 401));
+
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiAuthRefresh(() => Promise.reject(new Error('Session expired')));
+
+      await expect(graph.initGraphFromApi()).rejects.toThrow('Session expired');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Typed errors and validation', () => {
+    it('should reject HTTP errors with their status, url and parsed body', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 422,
+        text: () => Promise.resolve('{"message":"Unknown dimension"}')
+      });
+
+      const onApiError = vi.fn();
+      graph = new ForceGraph3D(container)
+        .apiBaseUrl('https://api.example.com')
+        .onApiError(onApiError);
+
+      const error = await graph.initGraphFromApi('dim-x').catch(e => e);
+
+      expect(error).toBeInstanceOf(ApiHttpError);
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error.message).toBe('HTTP error! status: 422');
+      expect(error.status).toBe(422);
+      expect(error.url).toBe('https://api.example.com/graph-data?dimensionId=dim-x');
+      expect(error.body).toEqual({ message: 'Unknown dimension' });
+      expect(onApiError.mock.calls[0][0]).toBe(error);
+    });
+
+    it('should keep non-JSON error bodies as text', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 502, text: () => Promise.resolve('Bad Gateway') });
+
+      graph = new ForceGraph3D(container);
+      const error = await graph.initGraphFromApi().catch(e => e);
+
+      expect(error.body).toBe('Bad Gateway');
+    });
+
+    it('should wrap network failures', async () => {
+      const cause = new TypeError('Failed to fetch');
+      global.fetch.mockRejectedValueOnce(cause);
+
+      graph = new ForceGraph3D(container);
+      const error = await graph.initGraphFromApi().catch(e => e);
+
+      expect(error).toBeInstanceOf(ApiNetworkError);
+      expect(error.message).toBe('Failed to fetch');
+      expect(error.cause).toBe(cause);
+      expect(error.status).toBeUndefined();
+    });
+
+    it('should reject invalid JSON with a parse error', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: () => Promise.reject(new SyntaxError('Unexpected token < in JSON'))
+      });
+
+      graph = new ForceGraph3D(container);
+      const error = await graph.initGraphFromApi().catch(e => e);
+
+      expect(error).toBeInstanceOf(ApiParseError);
+      expect(error.message).toContain('Unexpected token');
+      expect(error.status).toBe(200);
+    });
+
+    it('should reject responses without a nodes array', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({ items: [] }));
+
+      graph = new ForceGraph3D(container).pauseAnimation().apiValidation('drop');
+      const error = await graph.initGraphFromApi().catch(e => e);
+
+      expect(error).toBeInstanceOf(ApiValidationError);
+      expect(error.body).toEqual({ items: [] });
+    });
+
+    it('should drop invalid nodes and links of the initial graph with a warning', async () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      global.fetch.mockResolvedValueOnce(createMockResponse({
+        nodes: [{ id: 'a' }, { id: 'b' }, { id: 'a', name: 'Duplicate' }, { name: 'No id' }],
+        links: [{ source: 'a', target: 'b' }, { source: 'b', target: 'ghost' }]
+      }));
+
+      graph = new ForceGraph3D(container).pauseAnimation();
+      const result = await graph.initGraphFromApi();
+
+      expect(result.nodes.map(n => n.id)).toEqual(['a', 'b']);
+      expect(result.nodes[0].name).toBeUndefined();
+      expect(result.links).toHaveLength(1);
+      expect(warnSpy).toHaveBeenCalledWith('ForceGraph3D: Ignoring 1 nodes with duplicate ids, 1 nodes without id');
+      expect(warnSpy).toHaveBeenCalledWith('ForceGraph3D: Ignoring 1 links referencing unknown nodes');
+      warnSpy.mockRestore();
+    });
+
+    it('should drop expansion links referencing nodes neither returned nor in the graph', async () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({ nodes: [{ id: 'a' }, { id: 'b' }], links: [] }))
+        .mockResolvedValueOnce(createMockResponse({
+          nodes: [{ id: 'c' }],
+          links: [{ source: 'a', target: 'c' }, { source: 'c', target: 'ghost' }]
+        }));
+
+      graph = new ForceGraph3D(container).pauseAnimation();
+      await graph.initGraphFromApi();
+      const added = await graph.loadNextNodes(['a']);
+
+      expect(added.links).toHaveLength(1);
+      expect(graph.graphData().links).toHaveLength(1);
+      expect(warnSpy).toHaveBeenCalledWith('ForceGraph3D: Ignoring 1 links referencing unknown nodes');
+      warnSpy.mockRestore();
+    });
+
+    it('should reject invalid data with the list of issues in reject mode', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({ nodes: [{ id: 'a' }], links: [] }))
+        .mockResolvedValueOnce(createMockResponse({
+          nodes: [{ id: 'b' }, { id: 'b' }],
+          links: [{ source: 'b', target: 'ghost' }]
+        }));
+
+      const onApiError = vi.fn();
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiValidation('reject')
+        .onApiError(onApiError);
+
+      await graph.initGraphFromApi();
+      const error = await graph.loadNextNodes(['a']).catch(e => e);
+
+      expect(error).toBeInstanceOf(ApiValidationError);
+      expect(error.message).toBe('Invalid API response: 1 nodes with duplicate ids, 1 links referencing unknown nodes');
+      expect(error.issues).toEqual([
+        { type: 'duplicate-id', id: 'b', node: { id: 'b' } },
+        { type: 'dangling-link', id: 'ghost', link: { source: 'b', target: 'ghost' } }
+      ]);
+      expect(error.url).toMatch(/\/graph-data\/nodes$/);
+      expect(onApiError).toHaveBeenCalledWith(error, 'loadNextNodes', expect.any(Object));
+      expect(graph.graphData().nodes.map(n => n.id)).toEqual(['a']);
+      expect(graph.nodeExpansionState('a')).toBe('failed');
+    });
+
+    it('should resolve links across chunks before reporting them as dangling', async () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({
+          nodes: [{ id: 'a' }],
+          links: [{ source: 'a', target: 'b' }],
+          nextCursor: 'page-2'
+        }))
+        .mockResolvedValueOnce(createMockResponse({ nodes: [{ id: 'b' }], links: [] }));
+
+      graph = new ForceGraph3D(container).pauseAnimation().apiValidation('reject');
+      const result = await graph.initGraphFromApi();
+
+      expect(result.links).toHaveLength(1);
+      expect(warnSpy).not.toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+
+    it('should leave the graph untouched when rejecting links left dangling across chunks', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({ nodes: [{ id: 'x' }], links: [] }));
+      graph = new ForceGraph3D(container).pauseAnimation().apiValidation('reject');
+      await graph.initGraphFromApi();
+
+      const onDimensionChange = vi.fn();
+      graph
+        .onDimensionChange(onDimensionChange)
+        .apiAdapter({
+          init: (dimensionId, { onChunk }) => {
+            onChunk({ nodes: [{ id: 'a' }], links: [{ source: 'a', target: 'ghost' }] });
+            expect(graph.graphData().nodes.map(n => n.id)).toEqual(['x']); // held back until validated
+            return Promise.resolve({ nodes: [{ id: 'b' }], links: [] });
+          },
+          expand: () => Promise.resolve({ nodes: [], links: [] })
+        });
+
+      const error = await graph.switchDimension('other').catch(e => e);
+
+      expect(error).toBeInstanceOf(ApiValidationError);
+      expect(error.issues).toEqual([{ type: 'dangling-link', id: 'ghost', link: { source: 'a', target: 'ghost' } }]);
+      expect(graph.graphData().nodes.map(n => n.id)).toEqual(['x']);
+      expect(onDimensionChange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Neighbourhood options', () => {
+    beforeEach(async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({ nodes: [{ id: 'a' }, { id: 'b' }], links: [] }));
+      graph = new ForceGraph3D(container).pauseAnimation();
+      await graph.initGraphFromApi();
+      global.fetch.mockImplementation(() => Promise.resolve(createMockResponse({ nodes: [], links: [] })));
+    });
+
+    const requestBody = i => JSON.parse(global.fetch.mock.calls[i][1].body);
+
+    it('should send the options with the node ids', async () => {
+      await graph.loadNextNodes(['a'], {
+        depth: 2,
+        direction: 'out',
+        linkTypes: ['knows', 'cites', 'knows'],
+        limit: 10,
+        params: { tenant: 'acme', since: undefined }
+      });
+
+      expect(requestBody(1)).toEqual({
+        nodeIds: ['a'],
+        tenant: 'acme',
+        depth: 2,
+        direction: 'out',
+        linkTypes: ['cites', 'knows'],
+        limit: 10
+      });
+    });
+
+    it('should keep sending only the node ids without options', async () => {
+      await graph.loadNextNodes(['a']);
+      expect(requestBody(1)).toEqual({ nodeIds: ['a'] });
+    });
+
+    it('should reject invalid options without sending a request', async () => {
+      await expect(graph.loadNextNodes(['a'], { depth: 0 })).rejects.toThrow('Invalid expansion depth: 0');
+      await expect(graph.loadNextNodes(['a'], { direction: 'up' })).rejects.toThrow(TypeError);
+      await expect(graph.loadNextNodes(['a'], { linkTypes: 'knows' })).rejects.toThrow(TypeError);
+      await expect(graph.loadNextNodes(['a'], { limit: 1.5 })).rejects.toThrow(TypeError);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject params overriding the node ids or the other options', async () => {
+      await expect(graph.loadNextNodes(['a'], { params: { nodeIds: ['z'] } })).rejects.toThrow('Reserved expansion param: nodeIds');
+      await expect(graph.loadNextNodes(['a'], { depth: 1, params: { depth: 5 } })).rejects.toThrow(TypeError);
+      await expect(graph.loadNextNodes(['a'], { params: { limit: 100 } })).rejects.toThrow(TypeError);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only coalesce calls with the same options', async () => {
+      await Promise.all([
+        graph.loadNextNodes(['a'], { depth: 2 }),
+        graph.loadNextNodes(['b'], { depth: 2 })
+      ]);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(requestBody(1)).toEqual({ nodeIds: ['a', 'b'], depth: 2 });
+
+      graph.collapseNodes(['a', 'b']);
+      await Promise.all([
+        graph.loadNextNodes(['a'], { direction: 'in' }),
+        graph.loadNextNodes(['b'], { direction: 'out' })
+      ]);
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+      expect([requestBody(2), requestBody(3)]).toEqual([
+        { nodeIds: ['a'], direction: 'in' },
+        { nodeIds: ['b'], direction: 'out' }
+      ]);
+    });
+
+    it('should include the options in the cache key', async () => {
+      graph.apiCache(true);
+
+      await graph.loadNextNodes(['a'], { linkTypes: ['knows', 'cites'] });
+      graph.collapseNodes(['a']);
+      await graph.loadNextNodes(['a'], { linkTypes: ['cites', 'knows'] });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+
+      graph.collapseNodes(['a']);
+      await graph.loadNextNodes(['a'], { linkTypes: ['knows'] });
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should pass the query to the adapter', async () => {
+      const expand = vi.fn(() => Promise.resolve({ nodes: [], links: [] }));
+      graph.apiAdapter({ init: () => Promise.resolve({ nodes: [], links: [] }), expand });
+
+      await graph.loadNextNodes(['a'], { depth: 3 });
+
+      expect(expand).toHaveBeenCalledWith(['a'], expect.objectContaining({ query: { depth: 3 } }));
+    });
+
+    it('should pass the query to the GraphQL expand variables', async () => {
+      global.fetch.mockImplementation(() => Promise.resolve(createMockResponse({ data: { neighbours: { nodes: [], links: [] } } })));
+      graph.apiAdapter(createGraphQLAdapter({ expandQuery: 'query Expand($nodeIds: [ID!]!, $depth: Int) { neighbours }' }));
+
+      await graph.loadNextNodes(['a'], { depth: 2 });
+
+      expect(requestBody(1).variables).toEqual({ nodeIds: ['a'], depth: 2 });
+    });
+  });
+
+  describe('searchNodes', () => {
+    beforeEach(async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({
+        nodes: [{ id: 'a' }, { id: 'b' }],
+        links: [{ source: 'a', target: 'b' }]
+      }));
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiBaseUrl('https://api.example.com');
+      await graph.initGraphFromApi();
+    });
+
+    const mockSearchResponse = () => global.fetch.mockResolvedValueOnce(createMockResponse({
+      nodes: [{ id: 'b' }, { id: 'x', name: 'Match' }],
+      links: [{ source: 'b', target: 'x' }]
+    }));
+
+    it('should request the search endpoint with the query', async () => {
+      mockSearchResponse();
+      graph.apiSearchEndpoint('/search');
+
+      await graph.searchNodes('ma tch', { focus: false });
+
+      const [url, options] = global.fetch.mock.calls[1];
+      expect(url).toBe('https://api.example.com/search?q=ma+tch');
+      expect(options.method).toBe('GET');
+    });
+
+    it('should merge the results and resolve with them, including the ones already loaded', async () => {
+      mockSearchResponse();
+
+      const results = await graph.searchNodes('match', { focus: false });
+
+      expect(graph.graphData().nodes.map(n => n.id)).toEqual(['a', 'b', 'x']);
+      expect(graph.graphData().links).toHaveLength(2);
+      expect(results.nodes.map(n => n.id)).toEqual(['b', 'x']);
+      expect(results.nodes[0]).toBe(graph.graphData().nodes[1]);
+      expect(results.links).toHaveLength(1);
+    });
+
+    it('should not make the results collapsible expansions', async () => {
+      mockSearchResponse();
+
+      await graph.searchNodes('match', { focus: false });
+
+      expect(graph.nodeExpansionState('b')).toBe('collapsed');
+      expect(graph.collapseNodes(['b']).nodes).toEqual([]);
+      expect(graph.graphData().nodes).toHaveLength(3);
+    });
+
+    it('should fly the camera to the results once laid out', async () => {
+      mockSearchResponse();
+      const zoomToFit = vi.spyOn(graph, 'zoomToFit');
+
+      await graph.searchNodes('match', { transitionDuration: 500, padding: 20 });
+      expect(zoomToFit).not.toHaveBeenCalled();
+
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(zoomToFit).toHaveBeenCalledTimes(1);
+      const [duration, padding, nodeFilter] = zoomToFit.mock.calls[0];
+      expect([duration, padding]).toEqual([500, 20]);
+      expect(graph.graphData().nodes.filter(nodeFilter).map(n => n.id)).toEqual(['b', 'x']);
+    });
+
+    it('should not move the camera without focus or results', async () => {
+      const zoomToFit = vi.spyOn(graph, 'zoomToFit');
+
+      mockSearchResponse();
+      await graph.searchNodes('match', { focus: false });
+      global.fetch.mockResolvedValueOnce(createMockResponse({ nodes: [], links: [] }));
+      await graph.searchNodes('nothing');
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(zoomToFit).not.toHaveBeenCalled();
+    });
+
+    it('should report failures to onApiError', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({}, false, 500));
+      const onApiError = vi.fn();
+      graph.onApiError(onApiError);
+
+      await expect(graph.searchNodes('match')).rejects.toThrow('HTTP error! status: 500');
+      expect(onApiError).toHaveBeenCalledWith(expect.any(ApiHttpError), 'searchNodes', expect.objectContaining({ attempts: 1 }));
+    });
+
+    it('should reject with adapters that do not support search', async () => {
+      graph.apiAdapter({
+        init: () => Promise.resolve({ nodes: [], links: [] }),
+        expand: () => Promise.resolve({ nodes: [], links: [] })
+      });
+
+      await expect(graph.searchNodes('match')).rejects.toThrow('the API adapter does not support search');
+    });
+
+    it('should search through the GraphQL adapter', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({
+        data: { search: { nodes: [{ id: 'x' }], links: [] } }
+      }));
+      graph.apiAdapter(createGraphQLAdapter({ searchQuery: 'query ($query: String!) { search(query: $query) { nodes { id } } }' }));
+
+      const results = await graph.searchNodes('match', { focus: false });
+
+      expect(JSON.parse(global.fetch.mock.calls[1][1].body).variables).toEqual({ query: 'match' });
+      expect(results.nodes.map(n => n.id)).toEqual(['x']);
+    });
+  });
+
+  describe('Layout persistence', () => {
+    const mockGraphResponse = () => createMockResponse({
+      nodes: [{ id: 'a' }, { id: 'b' }, { id: 'c' }],
+      links: [{ source: 'a', target: 'b' }]
+    });
+
+    const savedLayout = {
+      nodes: [
+        { id: 'a', x: 10, y: 20, z: 30, fx: 10, fy: 20, fz: 30 },
+        { id: 'b', x: -5, y: 0, z: 5 }
+      ]
+    };
+
+    beforeEach(() => {
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiBaseUrl('https://api.example.com');
+    });
+
+    it('should save the positions and pins of the nodes for the current dimension', async () => {
+      global.fetch
+        .mockResolvedValueOnce(mockGraphResponse())
+        .mockResolvedValueOnce({ ok: true, status: 204 });
+
+      await graph.initGraphFromApi('dim-1');
+      const [a, b, c] = graph.graphData().nodes;
+      Object.assign(a, { x: 1, y: 2, z: 3, fx: 1, fy: 2, fz: 3 });
+      Object.assign(b, { x: 4, y: 5, z: 6, fx: null });
+      delete c.x;
+
+      const layout = await graph.saveLayout();
+
+      expect(layout).toEqual({
+        nodes: [
+          { id: 'a', x: 1, y: 2, z: 3, fx: 1, fy: 2, fz: 3 },
+          { id: 'b', x: 4, y: 5, z: 6 }
+        ]
+      });
+
+      const [url, options] = global.fetch.mock.calls[1];
+      expect(url).toBe('https://api.example.com/graph-layout?dimensionId=dim-1');
+      expect(options.method).toBe('PUT');
+      expect(options.headers['Content-Type']).toBe('application/json');
+      expect(JSON.parse(options.body)).toEqual(layout);
+    });
+
+    it('should save to the given dimension and endpoint', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: true, status: 204 });
+
+      await graph.apiLayoutEndpoint('/layouts').saveLayout('dim-2');
+
+      expect(global.fetch.mock.calls[0][0]).toBe('https://api.example.com/layouts?dimensionId=dim-2');
+    });
+
+    it('should load and apply a saved layout', async () => {
+      global.fetch
+        .mockResolvedValueOnce(mockGraphResponse())
+        .mockResolvedValueOnce(createMockResponse(savedLayout));
+
+      await graph.initGraphFromApi('dim-1');
+      const [a, b, c] = graph.graphData().nodes;
+      Object.assign(b, { fx: 99 });
+      Object.assign(c, { x: 7, y: 8, z: 9 });
+
+      const layout = await graph.loadLayout();
+
+      expect(layout).toEqual(savedLayout);
+      expect(global.fetch.mock.calls[1][0]).toBe('https://api.example.com/graph-layout?dimensionId=dim-1');
+      expect(a).toMatchObject({ x: 10, y: 20, z: 30, fx: 10, fy: 20, fz: 30 });
+      expect(b).toMatchObject({ x: -5, y: 0, z: 5 });
+      expect(b.fx).toBeUndefined(); // pinned as saved
+      expect(c).toMatchObject({ x: 7, y: 8, z: 9 }); // not in the layout
+    });
+
+    it('should resolve with null when no layout was saved', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({}, false, 404));
+      const onApiError = vi.fn();
+      graph.onApiError(onApiError);
+
+      expect(await graph.loadLayout('dim-1')).toBeNull();
+      expect(onApiError).not.toHaveBeenCalled();
+    });
+
+    it('should never cache layouts', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse(savedLayout))
+        .mockResolvedValueOnce(createMockResponse(savedLayout));
+      graph.apiCache(true);
+
+      await graph.loadLayout('dim-1');
+      await graph.loadLayout('dim-1');
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject invalid layouts', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({ positions: {} }));
+      const onApiError = vi.fn();
+      graph.onApiError(onApiError);
+
+      await expect(graph.loadLayout('dim-1')).rejects.toThrow(ApiValidationError);
+      expect(onApiError).toHaveBeenCalledWith(expect.any(ApiValidationError), 'loadLayout', expect.any(Object));
+    });
+
+    it('should report failed saves', async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({}, false, 403));
+      const onApiError = vi.fn();
+      graph.onApiError(onApiError);
+
+      await expect(graph.saveLayout('dim-1')).rejects.toThrow('HTTP error! status: 403');
+      expect(onApiError).toHaveBeenCalledWith(expect.any(ApiHttpError), 'saveLayout', expect.any(Object));
+    });
+
+    it('should apply the saved layout before laying out the initial graph when enabled', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse(savedLayout))
+        .mockResolvedValueOnce(mockGraphResponse());
+      graph.apiRestoreLayout(true);
+
+      const { nodes } = await graph.initGraphFromApi('dim-1');
+
+      expect(global.fetch.mock.calls[0][0]).toBe('https://api.example.com/graph-layout?dimensionId=dim-1');
+      expect(nodes[0]).toMatchObject({ x: 10, y: 20, z: 30, fx: 10, fy: 20, fz: 30 });
+      expect(nodes[1]).toMatchObject({ x: -5, y: 0, z: 5 });
+
+      await new Promise(resolve => setTimeout(resolve, 20)); // laid out from the saved positions
+      expect(nodes[0]).toMatchObject({ x: 10, y: 20, z: 30 });
+      expect(nodes[2].x).not.toBeUndefined();
+    });
+
+    it('should load the graph even if the layout cannot be loaded', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({}, false, 500))
+        .mockResolvedValueOnce(mockGraphResponse());
+      const onApiError = vi.fn();
+      graph.apiRestoreLayout(true).onApiError(onApiError);
+
+      const { nodes } = await graph.initGraphFromApi('dim-1');
+
+      expect(nodes).toHaveLength(3);
+      expect(onApiError).toHaveBeenCalledTimes(1);
+      expect(onApiError).toHaveBeenCalledWith(expect.any(ApiHttpError), 'loadLayout', expect.any(Object));
+    });
+
+    it('should not load layouts unless enabled', async () => {
+      global.fetch.mockResolvedValueOnce(mockGraphResponse());
+
+      await graph.initGraphFromApi('dim-1');
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject with adapters that do not support layouts', async () => {
+      graph.apiAdapter(createGraphQLAdapter({ initQuery: 'query { graph { nodes { id } } }' }));
+
+      await expect(graph.saveLayout()).rejects.toThrow('the API adapter does not support layouts');
+      await expect(graph.loadLayout()).rejects.toThrow('the API adapter does not support layouts');
+    });
+  });
+
+  describe('Prefetching', () => {
+    const neighbourhood = () => createMockResponse({
+      nodes: [{ id: 'c' }],
+      links: [{ source: 'b', target: 'c' }]
+    });
+
+    beforeEach(async () => {
+      global.fetch.mockResolvedValueOnce(createMockResponse({
+        nodes: [{ id: 'a' }, { id: 'b' }],
+        links: [{ source: 'a', target: 'b' }]
+      }));
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .apiCache(true);
+      await graph.initGraphFromApi();
+    });
+
+    it('should fetch the neighbourhood into the cache without adding it to the graph', async () => {
+      global.fetch.mockResolvedValueOnce(neighbourhood());
+
+      await graph.prefetchNodes(['b']);
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(JSON.parse(global.fetch.mock.calls[1][1].body)).toEqual({ nodeIds: ['b'] });
+      expect(graph.graphData().nodes).toHaveLength(2);
+      expect(graph.nodeExpansionState('b')).toBe('collapsed');
+
+      const added = await graph.loadNextNodes(['b']);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(added.nodes.map(n => n.id)).toEqual(['c']);
+    });
+
+    it('should let expansions wait for a pending prefetch instead of fetching again', async () => {
+      let respond;
+      global.fetch.mockImplementationOnce(() => new Promise(resolve => { respond = resolve; }));
+
+      const prefetch = graph.prefetchNodes(['b']);
+      const expansion = graph.loadNextNodes(['b']);
+      await flushPromises();
+
+      respond(neighbourhood());
+      await prefetch;
+      const added = await expansion;
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(added.nodes.map(n => n.id)).toEqual(['c']);
+    });
+
+    it('should only prefetch nodes neither expanded, loading nor already prefetching', async () => {
+      global.fetch.mockImplementation(() => Promise.resolve(neighbourhood()));
+      await graph.loadNextNodes(['b']);
+
+      await Promise.all([graph.prefetchNodes(['a', 'b', 'c']), graph.prefetchNodes(['a'])]);
+
+      expect(global.fetch.mock.calls.slice(2).map(([, options]) => JSON.parse(options.body).nodeIds)).toEqual([['a'], ['c']]);
+    });
+
+    it('should match prefetched nodes within batched expansions', async () => {
+      const respond = {};
+      global.fetch.mockImplementation((url, { body }) => {
+        const [id] = JSON.parse(body).nodeIds;
+        return id === 'b' && !respond.b
+          ? new Promise(resolve => { respond.b = () => resolve(neighbourhood()); })
+          : Promise.resolve(createMockResponse({ nodes: [{ id: 'd' }], links: [{ source: 'a', target: 'd' }] }));
+      });
+
+      const prefetch = graph.prefetchNodes(['b']);
+      const expansion = graph.loadNextNodes(['a', 'b']);
+      await new Promise(resolve => setTimeout(resolve, graph.apiBatchWindow() + 5));
+
+      respond.b();
+      await prefetch;
+      const added = await expansion;
+
+      expect(global.fetch.mock.calls.slice(1).map(([, options]) => JSON.parse(options.body).nodeIds)).toEqual([['b'], ['a']]);
+      expect(added.nodes.map(n => n.id).sort()).toEqual(['c', 'd']);
+      expect(graph.nodeExpansionState('a')).toBe('expanded');
+      expect(graph.nodeExpansionState('b')).toBe('expanded');
+    });
+
+    it('should serve completed prefetches of batched expansions from the cache', async () => {
+      global.fetch
+        .mockResolvedValueOnce(neighbourhood())
+        .mockResolvedValueOnce(createMockResponse({ nodes: [{ id: 'd' }], links: [{ source: 'a', target: 'd' }] }));
+
+      await graph.prefetchNodes(['b']);
+      const added = await graph.loadNextNodes(['a', 'b']);
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(JSON.parse(global.fetch.mock.calls[2][1].body)).toEqual({ nodeIds: ['a'] });
+      expect(added.nodes.map(n => n.id).sort()).toEqual(['c', 'd']);
+    });
+
+    it('should merge the responses of a batch at once, within the node budget', async () => {
+      const onNodesEvicted = vi.fn();
+      graph.maxNodes(3).onNodesEvicted(onNodesEvicted);
+      global.fetch
+        .mockResolvedValueOnce(neighbourhood())
+        .mockResolvedValueOnce(createMockResponse({ nodes: [{ id: 'd' }], links: [{ source: 'a', target: 'd' }] }));
+
+      await graph.prefetchNodes(['b']);
+      await graph.loadNextNodes(['a', 'b']);
+
+      expect(graph.graphData().nodes.map(n => n.id).sort()).toEqual(['a', 'b', 'c', 'd']);
+      expect(onNodesEvicted).not.toHaveBeenCalled();
+    });
+
+    it('should leave the graph untouched when rejecting any response of a batch', async () => {
+      graph.apiValidation('reject');
+      global.fetch
+        .mockResolvedValueOnce(neighbourhood())
+        .mockResolvedValueOnce(createMockResponse({ nodes: [{ id: 'd' }, { id: 'd' }], links: [] }));
+
+      await graph.prefetchNodes(['b']);
+      await expect(graph.loadNextNodes(['a', 'b'])).rejects.toBeInstanceOf(ApiValidationError);
+
+      expect(graph.graphData().nodes.map(n => n.id)).toEqual(['a', 'b']);
+      expect(graph.nodeExpansionState('b')).toBe('failed');
+    });
+
+    it('should not prefetch without a response cache, and warn about it once', async () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      graph.apiCache(false);
+
+      await graph.prefetchNodes(['b']);
+      await graph.prefetchNodes(['b']);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(warnSpy).toHaveBeenCalledTimes(1);
+      expect(warnSpy.mock.calls[0][0]).toContain('apiCache');
+      warnSpy.mockRestore();
+    });
+
+    it('should leave failures to the actual expansion', async () => {
+      const onApiError = vi.fn();
+      graph.onApiError(onApiError);
+      global.fetch
+        .mockResolvedValueOnce(createMockResponse({}, false, 500))
+        .mockResolvedValueOnce(neighbourhood());
+
+      await graph.prefetchNodes(['b']);
+      expect(onApiError).not.toHaveBeenCalled();
+
+      const added = await graph.loadNextNodes(['b']);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(added.nodes).toHaveLength(1);
+    });
+
+    it('should be cancelled by a new initial load', async () => {
+      let prefetchSignal;
+      global.fetch.mockImplementationOnce((url, { signal }) => new Promise((resolve, reject) => {
+        prefetchSignal = signal;
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      }));
+
+      const prefetch = graph.prefetchNodes(['b']);
+      await flushPromises();
+      expect(prefetchSignal.aborted).toBe(false);
+
+      await graph.initGraphFromApi(); // served from the cache
+      await prefetch;
+
+      expect(prefetchSignal.aborted).toBe(true);
+    });
+  });
+
+  describe('Fixture adapter', () => {
+    // a -> b -> c -> d, with a 'knows' link b -> e
+    const fixture = () => ({
+      nodes: [{ id: 'a', name: 'Alpha' }, { id: 'b', name: 'Beta' }, { id: 'c', name: 'Gamma' }, { id: 'd', name: 'Delta' }, { id: 'e', name: 'Epsilon' }],
+      links: [
+        { source: 'a', target: 'b', type: 'follows' },
+        { source: 'b', target: 'c', type: 'follows' },
+        { source: 'c', target: 'd', type: 'follows' },
+        { source: 'b', target: 'e', type: 'knows' }
+      ]
+    });
+    const ids = items => items.map(n => n.id).sort();
+
+    beforeEach(() => {
+      graph = new ForceGraph3D(container).pauseAnimation();
+    });
+
+    it('should serve the whole graph on init by default, without fetching', async () => {
+      graph.apiAdapter(createFixtureAdapter(miserables));
+
+      const data = await graph.initGraphFromApi();
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(data.nodes).toHaveLength(miserables.nodes.length);
+      expect(data.links).toHaveLength(miserables.links.length);
+      expect(typeof miserables.links[0].source).toBe('string'); // fixture left unaltered
+    });
+
+    it('should serve the initial nodes and expand their neighbourhood locally', async () => {
+      graph.apiAdapter(createFixtureAdapter(miserables, { initNodeIds: ['Myriel'] }));
+      await graph.initGraphFromApi();
+      expect(ids(graph.graphData().nodes)).toEqual(['Myriel']);
+
+      const added = await graph.loadNextNodes(['Myriel']);
+
+      expect(added.nodes).toHaveLength(10);
+      expect(added.nodes.map(n => n.id)).toContain('Valjean');
+      expect(added.links).toHaveLength(10);
+      expect(graph.nodeExpansionState('Myriel')).toBe('expanded');
+    });
+
+    it('should pick the initial nodes of each dimension', async () => {
+      const initNodeIds = vi.fn(dimensionId => dimensionId === 'tail' ? ['c', 'd'] : ['a']);
+      graph.apiAdapter(createFixtureAdapter(fixture(), { initNodeIds }));
+
+      const data = await graph.initGraphFromApi('tail');
+
+      expect(initNodeIds).toHaveBeenCalledWith('tail');
+      expect(ids(data.nodes)).toEqual(['c', 'd']);
+      expect(data.links).toHaveLength(1);
+    });
+
+    it('should honour the depth, direction, link types and limit of expansions', async () => {
+      const adapter = createFixtureAdapter(fixture(), { initNodeIds: ['b'] });
+      const expand = query => adapter.expand(['b'], { graph, query }).then(data => ids(data.nodes));
+      graph.apiAdapter(adapter);
+      await graph.initGraphFromApi();
+
+      expect(await expand({})).toEqual(['a', 'c', 'e']);
+      expect(await expand({ depth: 2 })).toEqual(['a', 'c', 'd', 'e']);
+      expect(await expand({ direction: 'out' })).toEqual(['c', 'e']);
+      expect(await expand({ direction: 'in' })).toEqual(['a']);
+      expect(await expand({ linkTypes: ['knows'] })).toEqual(['e']);
+      expect(await expand({ limit: 1 })).toHaveLength(1);
+    });
+
+    it('should search the nodes by id and name', async () => {
+      graph.apiAdapter(createFixtureAdapter(fixture(), { initNodeIds: ['a'] }));
+      await graph.initGraphFromApi();
+
+      const results = await graph.searchNodes('ta', { focus: false });
+
+      expect(ids(results.nodes)).toEqual(['b', 'd']);
+      expect(results.links).toHaveLength(0);
+      expect(graph.graphData().nodes).toHaveLength(3);
+    });
+
+    it('should simulate latency, cancellable through the signal', async () => {
+      vi.useFakeTimers();
+      try {
+        graph.apiAdapter(createFixtureAdapter(fixture(), { latency: 500 }));
+        const controller = new AbortController();
+        const onResolve = vi.fn();
+
+        graph.initGraphFromApi().then(onResolve);
+        await vi.advanceTimersByTimeAsync(400);
+        expect(onResolve).not.toHaveBeenCalled();
+        await vi.advanceTimersByTimeAsync(100);
+        expect(onResolve).toHaveBeenCalledTimes(1);
+
+        const cancelled = graph.initGraphFromApi(undefined, { signal: controller.signal });
+        controller.abort();
+        await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should simulate failures as HTTP errors', async () => {
+      const onApiError = vi.fn();
+      graph
+        .onApiError(onApiError)
+        .apiAdapter(createFixtureAdapter(fixture(), { failureRate: 1 }));
+
+      await expect(graph.initGraphFromApi()).rejects.toBeInstanceOf(ApiHttpError);
+      expect(onApiError).toHaveBeenCalledWith(expect.objectContaining({ status: 503 }), 'initGraphFromApi', expect.anything());
+    });
+
+    it('should expand the current dimension of each graph sharing the adapter', async () => {
+      const adapter = createFixtureAdapter(dimensionId => dimensionId === 'other'
+        ? { nodes: [{ id: 'a' }, { id: 'z' }], links: [{ source: 'a', target: 'z' }] }
+        : fixture(),
+      { initNodeIds: ['a'] });
+      const otherGraph = new ForceGraph3D(document.createElement('div')).pauseAnimation().apiAdapter(adapter);
+      graph.apiAdapter(adapter);
+
+      await graph.initGraphFromApi('main');
+      await otherGraph.initGraphFromApi('other');
+
+      expect(ids((await graph.loadNextNodes(['a'])).nodes)).toEqual(['b']);
+      expect(ids((await otherGraph.loadNextNodes(['a'])).nodes)).toEqual(['z']);
+      expect(ids((await graph.searchNodes('Delta')).nodes)).toEqual(['d']);
+      otherGraph._destructor();
+    });
+
+    it('should keep the saved layouts in memory', async () => {
+      graph.apiAdapter(createFixtureAdapter(fixture()));
+      await graph.initGraphFromApi('main');
+      graph.graphData().nodes.forEach((node, i) => Object.assign(node, { x: i, y: i, z: i }));
+
+      expect(await graph.loadLayout()).toBeNull();
+      await graph.saveLayout();
+      graph.graphData().nodes.forEach(node => Object.assign(node, { x: 100, y: 100, z: 100 }));
+
+      const layout = await graph.loadLayout();
+      expect(layout.nodes).toHaveLength(5);
+      expect(graph.graphData().nodes[2]).toMatchObject({ x: 2, y: 2, z: 2 });
+    });
+  });
+
+  describe('Dimension switching', () => {
+    const dimensions = {
+      first: () => ({
+        nodes: [{ id: 'a' }, { id: 'b', label: 'first' }, { id: 'c' }],
+        links: [{ source: 'a', target: 'b' }, { source: 'b', target: 'c' }]
+      }),
+      second: () => ({
+        nodes: [{ id: 'b', label: 'second' }, { id: 'c' }, { id: 'd' }],
+        links: [{ source: 'c', target: 'd' }]
+      })
+    };
+    const ids = items => items.map(n => n.id).sort();
+    const getNode = id => graph.graphData().nodes.find(n => n.id === id);
+    const endpointId = endpoint => typeof endpoint === 'object' ? endpoint.id : endpoint;
+    const linkIds = () => graph.graphData().links.map(l => `${endpointId(l.source)}-${endpointId(l.target)}`).sort();
+    const digest = () => new Promise(resolve => setTimeout(resolve, 5));
+
+    let manager;
+
+    beforeEach(async () => {
+      manager = new AnimationManager();
+      manager.registerAnimation('fade', fade);
+      graph = new ForceGraph3D(container)
+        .pauseAnimation()
+        .setAnimationManager(manager)
+        .apiAdapter(createFixtureAdapter(dimensionId => dimensions[dimensionId]()));
+      await graph.initGraphFromApi('first');
+      await digest();
+    });
+
+    afterEach(() => {
+      manager.clear();
+    });
+
+    it('should keep the nodes shared by both dimensions in place, with their new data', async () => {
+      graph.dimensionTransitionDuration(0);
+      const b = getNode('b');
+      Object.assign(b, { x: 42, y: 7, z: -3 });
+
+      const data = await graph.switchDimension('second');
+
+      expect(ids(data.nodes)).toEqual(['b', 'c', 'd']);
+      expect(getNode('b')).toBe(b);
+      expect(b).toMatchObject({ label: 'second', x: 42, y: 7, z: -3 });
+      expect(ids(graph.graphData().nodes)).toEqual(['b', 'c', 'd']);
+      expect(linkIds()).toEqual(['c-d']);
+    });
+
+    it('should fade out the leaving nodes before removing them', async () => {
+      graph.dimensionTransitionDuration(50);
+
+      await graph.switchDimension('second');
+
+      expect(ids(graph.graphData().nodes)).toEqual(['a', 'b', 'c', 'd']);
+      expect(linkIds()).toEqual(['a-b', 'c-d']);
+      expect(graph.isNodeAnimating(getNode('a'), 'fade')).toBe(true);
+
+      await new Promise(resolve => setTimeout(resolve, 80));
+
+      expect(ids(graph.graphData().nodes)).toEqual(['b', 'c', 'd']);
+      expect(linkIds()).toEqual(['c-d']);
+    });
+
+    it('should grow the entering nodes in once they are rendered', async () => {
+      const startAnimation = vi.spyOn(manager, 'startAnimation');
+
+      await graph.switchDimension('second');
+      await digest();
+
+      const d = getNode('d');
+      expect(startAnimation).toHaveBeenCalledWith(d.__threeObj, 'fade', { direction: 'in', duration: 0.5 });
+      expect(startAnimation).toHaveBeenCalledWith(getNode('a').__threeObj, 'fade', { direction: 'out', duration: 0.5 });
+      expect(startAnimation).toHaveBeenCalledTimes(2);
+    });
+
+    it('should remove the leaving nodes right away without a registered transition animation', async () => {
+      graph.dimensionTransitionAnimation('unknown');
+
+      await graph.switchDimension('second');
+
+      expect(ids(graph.graphData().nodes)).toEqual(['b', 'c', 'd']);
+    });
+
+    it('should still replace the whole graph on initGraphFromApi', async () => {
+      const b = getNode('b');
+
+      await graph.initGraphFromApi('second');
+
+      expect(ids(graph.graphData().nodes)).toEqual(['b', 'c', 'd']);
+      expect(getNode('b')).not.toBe(b);
+    });
+
+    it('should expose the current dimension and report its changes', async () => {
+      const onDimensionChange = vi.fn();
+      graph.onDimensionChange(onDimensionChange);
+      expect(graph.currentDimension()).toBe('first');
+
+      const switching = graph.switchDimension('second');
+      expect(graph.currentDimension()).toBe('first');
+      await switching;
+      expect(graph.currentDimension()).toBe('second');
+      expect(onDimensionChange).toHaveBeenCalledWith('second', 'first');
+
+      await graph.switchDimension('second');
+      expect(onDimensionChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the current dimension when loading another one fails or is cancelled', async () => {
+      const onDimensionChange = vi.fn();
+      graph
+        .onDimensionChange(onDimensionChange)
+        .apiAdapter(createFixtureAdapter(dimensionId => dimensions[dimensionId](), { failureRate: 1 }));
+
+      await expect(graph.switchDimension('second')).rejects.toMatchObject({ status: 503 });
+      expect(graph.currentDimension()).toBe('first');
+
+      graph.apiAdapter(createFixtureAdapter(dimensionId => dimensions[dimensionId](), { latency: 20 }));
+      const controller = new AbortController();
+      const switching = graph.switchDimension('second', { signal: controller.signal });
+      controller.abort();
+      await expect(switching).rejects.toMatchObject({ name: 'AbortError' });
+
+      expect(graph.currentDimension()).toBe('first');
+      expect(onDimensionChange).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Custom node/link accessors', () => {
     it('should respect custom nodeId accessor when merging', async () => {
       const customIdData = {
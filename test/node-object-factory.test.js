@@ -1,6 +1,10 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import nodeObjectFactory, { NodeObjectFactory } from '../src/node-object-factory.js';
 import { registerBuiltInTypes, builtInTypes } from '../src/node-object-types/index.js';
+import { AnimationManager } from '../src/animation-manager.js';
+import { registerBuiltInAnimations } from '../src/animations/index.js';
+import ForceGraph3D from '../src/3d-force-graph.js';
+import * as RealTHREE from 'three';
 
 // Mock THREE.js
 const createMockTHREE = () => ({
@@ -336,6 +340,561 @@ describe('NodeObjectFactory', () => {
       stats = nodeObjectFactory.getStats();
       expect(stats.pooledObjects['cube']).toBe(0);
     });
+
+    it('should release a replaced object while keeping the active one', () => {
+      const node = { id: 'replaced', nodeThreeObjectType: 'cube' };
+      const cube = nodeObjectFactory.createObject(node, THREE);
+      node.nodeThreeObjectType = 'cone';
+      const cone = nodeObjectFactory.createObject(node, THREE);
+
+      nodeObjectFactory.releaseObject('replaced', cube);
+      nodeObjectFactory.releaseObject('replaced', cube);
+
+      expect(cube.visible).toBe(false);
+      expect(nodeObjectFactory.getActiveObject('replaced')).toBe(cone);
+      expect(nodeObjectFactory.getStats().pooledObjects).toEqual({ cube: 1, cone: 0, cylinder: 0 });
+    });
+
+    it('should not release objects it did not create', () => {
+      const obj = new THREE.Mesh();
+      nodeObjectFactory.releaseObject('foreign', obj);
+
+      expect(obj.visible).toBe(true);
+      expect(nodeObjectFactory.getStats().pooledObjects).toEqual({ cube: 0, cone: 0, cylinder: 0 });
+    });
+
+    it('should not reuse pooled objects that lost children', () => {
+      nodeObjectFactory.registerType('group', () => ({ children: [{}, {}], visible: true }));
+      const group = nodeObjectFactory.createObject({ id: 'g1', nodeThreeObjectType: 'group' }, THREE);
+      nodeObjectFactory.releaseObject('g1');
+      group.children.length = 0; // emptied when removed from the scene
+
+      const obj = nodeObjectFactory.createObject({ id: 'g2', nodeThreeObjectType: 'group' }, THREE);
+
+      expect(obj).not.toBe(group);
+      expect(obj.children).toHaveLength(2);
+      expect(nodeObjectFactory.getStats().pooledObjects.group).toBe(0);
+    });
+
+    it('should adapt reused built-in objects to their new node', () => {
+      const small = nodeObjectFactory.createObject({ id: 'small', nodeThreeObjectType: 'cone', val: 1, color: 'red' }, THREE);
+      nodeObjectFactory.releaseObject('small');
+
+      const big = nodeObjectFactory.createObject({ id: 'big', nodeThreeObjectType: 'cone', val: 8, color: 'blue' }, THREE);
+
+      expect(big).toBe(small);
+      expect(big.geometry.height).toBe(8);
+      expect(big.material.color).toBe('blue');
+    });
+
+    it('should call the reset function of a type on reuse only', () => {
+      const reset = vi.fn();
+      nodeObjectFactory.registerType('resettable', (node, THREE) => new THREE.Mesh(), { reset });
+
+      const obj = nodeObjectFactory.createObject({ id: 'r1', nodeThreeObjectType: 'resettable' }, THREE);
+      expect(reset).not.toHaveBeenCalled();
+
+      nodeObjectFactory.releaseObject('r1');
+      const node = { id: 'r2', nodeThreeObjectType: 'resettable' };
+      nodeObjectFactory.createObject(node, THREE);
+      expect(reset).toHaveBeenCalledWith(obj, node, THREE, nodeObjectFactory);
+    });
+
+    it('should reject a reset or update that is not a function', () => {
+      expect(() => nodeObjectFactory.registerType('test', () => ({}), { reset: 'not a function' })).toThrow();
+      expect(() => nodeObjectFactory.registerType('test', () => ({}), { update: 'not a function' })).toThrow();
+    });
+
+    it('should prefer the reset function of a type over its update one on reuse', () => {
+      const reset = vi.fn();
+      const update = vi.fn();
+      nodeObjectFactory.registerType('both', (node, THREE) => new THREE.Mesh(), { update, reset });
+
+      nodeObjectFactory.createObject({ id: 'b1', nodeThreeObjectType: 'both' }, THREE);
+      nodeObjectFactory.releaseObject('b1');
+      nodeObjectFactory.createObject({ id: 'b2', nodeThreeObjectType: 'both' }, THREE);
+
+      expect(reset).toHaveBeenCalledTimes(1);
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should restore the transform of pooled objects as created', () => {
+      nodeObjectFactory.registerType('tilted', () => {
+        const obj = new RealTHREE.Mesh();
+        obj.rotation.x = Math.PI / 4;
+        return obj;
+      });
+      const obj = nodeObjectFactory.createObject({ id: 't1', nodeThreeObjectType: 'tilted' }, RealTHREE);
+      obj.position.set(10, 20, 30);
+      obj.rotation.set(1, 2, 3);
+      obj.scale.setScalar(3);
+
+      nodeObjectFactory.releaseObject('t1');
+
+      expect(obj.position.toArray()).toEqual([0, 0, 0]);
+      expect(obj.rotation.x).toBeCloseTo(Math.PI / 4);
+      expect(obj.rotation.y).toBeCloseTo(0);
+      expect(obj.rotation.z).toBeCloseTo(0);
+      expect(obj.scale.toArray()).toEqual([1, 1, 1]);
+    });
+  });
+
+  describe('In-place updates', () => {
+    beforeEach(() => {
+      registerBuiltInTypes();
+    });
+
+    it('should update the object of a built-in type in place', () => {
+      const node = { id: 'u1', nodeThreeObjectType: 'cube', val: 1, color: 'red' };
+      const obj = nodeObjectFactory.createObject(node, THREE);
+
+      node.val = 8;
+      node.color = 'blue';
+      expect(nodeObjectFactory.updateObject(node, THREE)).toBe(true);
+
+      expect(nodeObjectFactory.getActiveObject('u1')).toBe(obj);
+      expect(obj.geometry.width).toBe(8);
+      expect(obj.material.color).toBe('blue');
+    });
+
+    it('should default to the THREE reference of the factory', () => {
+      const update = vi.fn();
+      nodeObjectFactory.registerType('updatable', (node, THREE) => new THREE.Mesh(), { update });
+      const node = { id: 'u2', nodeThreeObjectType: 'updatable' };
+      const obj = nodeObjectFactory.createObject(node, THREE);
+
+      nodeObjectFactory.setTHREE(THREE);
+      nodeObjectFactory.updateObject(node);
+      nodeObjectFactory.setTHREE(null);
+
+      expect(update).toHaveBeenCalledWith(obj, node, THREE, nodeObjectFactory);
+    });
+
+    it('should not update objects without an update function, of another type or unknown', () => {
+      nodeObjectFactory.registerType('static', (node, THREE) => new THREE.Mesh());
+      const node = { id: 'u3', nodeThreeObjectType: 'static' };
+      nodeObjectFactory.createObject(node, THREE);
+      expect(nodeObjectFactory.updateObject(node, THREE)).toBe(false);
+
+      const cube = { id: 'u4', nodeThreeObjectType: 'cube' };
+      nodeObjectFactory.createObject(cube, THREE);
+      cube.nodeThreeObjectType = 'cone';
+      expect(nodeObjectFactory.updateObject(cube, THREE)).toBe(false);
+
+      expect(nodeObjectFactory.updateObject({ id: 'unknown', nodeThreeObjectType: 'cube' }, THREE)).toBe(false);
+    });
+  });
+
+  describe('Shared materials', () => {
+    const createCubes = () => [1, 2].map(id =>
+      nodeObjectFactory.createObject({ id, nodeThreeObjectType: 'cube', color: '#ff0000' }, RealTHREE)
+    );
+
+    beforeEach(() => {
+      registerBuiltInTypes();
+    });
+
+    it('should animate a copy of a shared material', () => {
+      const manager = new AnimationManager();
+      registerBuiltInAnimations(manager);
+      const [cube, other] = createCubes();
+      const shared = other.material;
+      expect(cube.material).toBe(shared);
+
+      manager.startAnimation(cube, 'glow', { pulse: false });
+      manager.tick(0.1);
+
+      expect(cube.material).not.toBe(shared);
+      expect(cube.material.emissiveIntensity).toBeGreaterThan(0);
+      expect(shared.emissiveIntensity).toBe(1);
+      expect(shared.emissive.getHex()).toBe(0);
+
+      const copy = cube.material;
+      const dispose = vi.spyOn(copy, 'dispose');
+      manager.stopAnimation(cube, 'glow', true);
+
+      expect(cube.material).toBe(shared);
+      expect(dispose).toHaveBeenCalled();
+    });
+
+    it('should keep animating a copy of the material after an update', () => {
+      const manager = new AnimationManager();
+      registerBuiltInAnimations(manager);
+      const [cube, other] = createCubes();
+      const node = { id: 1, nodeThreeObjectType: 'cube', color: '#00ff00' };
+      const shared = nodeObjectFactory.createObject({ id: 3, nodeThreeObjectType: 'cube', color: '#00ff00' }, RealTHREE).material;
+
+      manager.startAnimation(cube, 'glow', { pulse: false });
+      manager.tick(0.1);
+      const copy = cube.material;
+      const dispose = vi.spyOn(copy, 'dispose');
+
+      expect(nodeObjectFactory.updateObject(node, RealTHREE)).toBe(true);
+      manager.tick(0.1);
+
+      expect(dispose).toHaveBeenCalled();
+      expect(cube.material).not.toBe(shared);
+      expect(cube.material.color.getHexString()).toBe('00ff00');
+      expect(cube.material.emissiveIntensity).toBeGreaterThan(0);
+      expect(shared.emissiveIntensity).toBe(1);
+      expect(shared.emissive.getHex()).toBe(0);
+      expect(other.material.emissive.getHex()).toBe(0);
+      manager.stopAnimation(cube, 'glow', true);
+    });
+
+    it('should re-share a material only once its copy is back to the shared values', () => {
+      const [cube, other] = createCubes();
+      const shared = other.material;
+
+      const copy = nodeObjectFactory.ownMaterial(cube);
+      expect(copy).not.toBe(shared);
+      expect(nodeObjectFactory.ownMaterial(cube)).toBe(copy);
+
+      copy.color.set('#0000ff');
+      expect(nodeObjectFactory.restoreSharedMaterial(cube)).toBe(false);
+      expect(shared.color.getHexString()).toBe('ff0000');
+
+      copy.color.set('#ff0000');
+      expect(nodeObjectFactory.restoreSharedMaterial(cube)).toBe(true);
+      expect(cube.material).toBe(shared);
+      expect(nodeObjectFactory.restoreSharedMaterial(cube)).toBe(false);
+    });
+
+    it('should give released objects their shared material back', () => {
+      const [cube, other] = createCubes();
+      nodeObjectFactory.ownMaterial(cube).opacity = 0.1;
+
+      nodeObjectFactory.releaseObject(1);
+      expect(cube.material).toBe(other.material);
+    });
+
+    it('should not dispose cached resources with the pooled objects', () => {
+      const [cube] = createCubes();
+      const disposeGeometry = vi.spyOn(cube.geometry, 'dispose');
+      const disposeMaterial = vi.spyOn(cube.material, 'dispose');
+
+      nodeObjectFactory.releaseObject(1);
+      nodeObjectFactory.clearPools();
+
+      expect(disposeGeometry).not.toHaveBeenCalled();
+      expect(disposeMaterial).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Parent factories', () => {
+    it('should inherit the types of the parent factory', () => {
+      const child = new NodeObjectFactory({ parent: nodeObjectFactory });
+      registerBuiltInTypes(); // registered after the child creation
+
+      expect(child.hasType('cube')).toBe(true);
+      expect(child.getRegisteredTypes()).toEqual(['cube', 'cone', 'cylinder']);
+
+      const obj = child.createObject({ id: 1, nodeThreeObjectType: 'cube' }, THREE);
+      expect(obj.geometry.type).toBe('BoxGeometry');
+      expect(child.getActiveObject(1)).toBe(obj);
+      expect(nodeObjectFactory.getActiveObject(1)).toBeNull();
+    });
+
+    it('should keep its own types, pools and active objects apart from the parent', () => {
+      registerBuiltInTypes();
+      const child = new NodeObjectFactory({ parent: nodeObjectFactory });
+      child.registerType('local', () => new THREE.Mesh());
+
+      expect(nodeObjectFactory.hasType('local')).toBe(false);
+
+      child.createObject({ id: 1, nodeThreeObjectType: 'cube' }, THREE);
+      nodeObjectFactory.createObject({ id: 1, nodeThreeObjectType: 'cube' }, THREE);
+      child.releaseObject(1);
+
+      expect(child.getStats().pooledObjects).toEqual({ local: 0, cube: 1 });
+      expect(nodeObjectFactory.getStats().pooledObjects.cube).toBe(0);
+      expect(nodeObjectFactory.getStats().activeObjects).toBe(1);
+    });
+
+    it('should default to the THREE reference of the parent', () => {
+      const child = new NodeObjectFactory({ parent: nodeObjectFactory });
+      expect(child.getTHREE()).toBeNull();
+
+      nodeObjectFactory.setTHREE(THREE);
+      child.registerType('local', (node, THREE) => new THREE.Mesh());
+      expect(child.getTHREE()).toBe(THREE);
+      expect(child.createAccessor()({ id: 1, nodeThreeObjectType: 'local' })).toBeInstanceOf(THREE.Mesh);
+      nodeObjectFactory.setTHREE(null);
+    });
+  });
+
+  describe('Graph integration', () => {
+    let container;
+    let graph;
+    const digest = () => new Promise(resolve => setTimeout(resolve, 5));
+    const getNode = (id, g = graph) => g.graphData().nodes.find(node => node.id === id);
+    const createGraph = () => new ForceGraph3D(container)
+      .pauseAnimation()
+      .graphData({
+        nodes: [{ id: 'a', nodeThreeObjectType: 'cube' }, { id: 'b', nodeThreeObjectType: 'cone' }, { id: 'c' }],
+        links: [{ source: 'a', target: 'b' }]
+      });
+
+    beforeEach(async () => {
+      registerBuiltInTypes();
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      graph = createGraph();
+      await digest();
+    });
+
+    afterEach(() => {
+      graph && graph._destructor();
+      document.body.removeChild(container);
+    });
+
+    it('should create the objects of typed nodes with its own factory', () => {
+      const factory = graph.nodeObjectFactory();
+
+      expect(factory).toBeInstanceOf(NodeObjectFactory);
+      expect(factory).not.toBe(nodeObjectFactory);
+      expect(getNode('a').__threeObj.geometry.type).toBe('BoxGeometry');
+      expect(factory.getActiveObject('a')).toBe(getNode('a').__threeObj);
+      expect(getNode('c').__threeObj.geometry.type).toBe('SphereGeometry');
+      expect(nodeObjectFactory.getStats().activeObjects).toBe(0);
+    });
+
+    it('should track the objects of graphs sharing node ids apart', async () => {
+      const other = createGraph();
+      await digest();
+
+      expect(other.nodeObjectFactory()).not.toBe(graph.nodeObjectFactory());
+      expect(other.nodeObjectFactory().getActiveObject('a')).toBe(getNode('a', other).__threeObj);
+      expect(graph.nodeObjectFactory().getActiveObject('a')).toBe(getNode('a').__threeObj);
+
+      other._destructor();
+      expect(graph.nodeObjectFactory().getStats().activeObjects).toBe(2);
+    });
+
+    it('should keep a factory given in the config or set before init', async () => {
+      const configured = new NodeObjectFactory({ parent: nodeObjectFactory });
+      const other = new ForceGraph3D(document.createElement('div'), { nodeObjectFactory: configured });
+      expect(other.nodeObjectFactory()).toBe(configured);
+      other._destructor();
+
+      const preset = new NodeObjectFactory({ parent: nodeObjectFactory });
+      const deferred = ForceGraph3D().nodeObjectFactory(preset);
+      deferred(document.createElement('div'));
+      expect(deferred.nodeObjectFactory()).toBe(preset);
+
+      const disabled = ForceGraph3D().nodeObjectFactory(null);
+      disabled(document.createElement('div'));
+      expect(disabled.nodeObjectFactory()).toBeNull();
+
+      deferred._destructor();
+      disabled._destructor();
+    });
+
+    it('should use nodeThreeObject for the nodes without a registered type', async () => {
+      const sprite = new RealTHREE.Object3D();
+      graph.nodeThreeObject(sprite);
+      await digest();
+
+      expect(getNode('a').__threeObj.geometry.type).toBe('BoxGeometry');
+      expect(getNode('c').__threeObj).not.toBe(sprite);
+      expect(getNode('c').__threeObj).toBeInstanceOf(RealTHREE.Object3D);
+      expect(graph.nodeThreeObject()).toBe(sprite);
+    });
+
+    it('should use the factory of a factory accessor given as nodeThreeObject', async () => {
+      const factory = graph.nodeObjectFactory();
+      graph.nodeThreeObject(nodeObjectFactory.createAccessor(RealTHREE));
+      await digest();
+
+      expect(factory.getStats().activeObjects).toBe(0);
+      expect(nodeObjectFactory.getActiveObject('a')).toBe(getNode('a').__threeObj);
+      expect(getNode('a').__threeObj.geometry.type).toBe('BoxGeometry');
+
+      graph.graphData({ nodes: [getNode('b')], links: [] });
+      await digest();
+      expect(nodeObjectFactory.getActiveObject('a')).toBeNull();
+      expect(nodeObjectFactory.getStats().pooledObjects.cube).toBe(1);
+
+      graph.nodeThreeObject(null);
+      await digest();
+      expect(nodeObjectFactory.getStats().activeObjects).toBe(0);
+      expect(factory.getActiveObject('b')).toBe(getNode('b').__threeObj);
+    });
+
+    it('should track the factory objects by the graph node ids', async () => {
+      const factory = graph.nodeObjectFactory();
+      graph
+        .nodeId('key')
+        .graphData({ nodes: [{ key: 'x', nodeThreeObjectType: 'cube', color: 'red' }], links: [] });
+      await digest();
+
+      const x = graph.graphData().nodes[0];
+      const obj = x.__threeObj;
+      expect(factory.getActiveObject('x')).toBe(obj);
+
+      x.color = 'blue';
+      graph.updateNodeVisuals([x]);
+      expect(x.__threeObj).toBe(obj);
+      expect(obj.material.color.getHexString()).toBe('0000ff');
+
+      graph.graphData({ nodes: [], links: [] });
+      await digest();
+      expect(factory.getActiveObject('x')).toBeNull();
+      expect(factory.getStats().activeObjects).toBe(0);
+    });
+
+    it('should switch to another factory, or none', async () => {
+      const factory = new NodeObjectFactory();
+      factory.registerType('cube', (node, THREE) => new THREE.Mesh());
+      const previousFactory = graph.nodeObjectFactory();
+
+      graph.nodeObjectFactory(factory);
+      await digest();
+
+      expect(previousFactory.getStats().activeObjects).toBe(0);
+      expect(factory.getActiveObject('a')).toBe(getNode('a').__threeObj);
+      expect(getNode('a').__threeObj.geometry.type).toBe('BufferGeometry');
+      expect(getNode('b').__threeObj.geometry.type).toBe('SphereGeometry'); // type not registered with this factory
+
+      graph.nodeObjectFactory(null);
+      await digest();
+
+      expect(factory.getStats().activeObjects).toBe(0);
+      expect(getNode('a').__threeObj.geometry.type).toBe('SphereGeometry');
+    });
+
+    it('should update the visuals of nodes in place', async () => {
+      const refresh = vi.spyOn(graph, 'refresh');
+      const a = getNode('a');
+      const obj = a.__threeObj;
+      graph.animationManager().registerAnimation('idle', { update: (object, state) => state });
+      graph.startNodeAnimation(a, 'idle');
+
+      a.val = 8;
+      a.color = '#ff0000';
+      graph.updateNodeVisuals([a]);
+
+      expect(a.__threeObj).toBe(obj);
+      expect(obj.geometry.parameters.width).toBe(8);
+      expect(obj.material.color.getHexString()).toBe('ff0000');
+      expect(graph.isNodeAnimating(a, 'idle')).toBe(true);
+      expect(refresh).not.toHaveBeenCalled();
+
+      const c = getNode('c');
+      const sphere = c.__threeObj;
+      c.color = '#00ff00';
+      graph.updateNodeVisuals([c]);
+      await digest();
+
+      expect(c.__threeObj).toBe(sphere);
+      expect(sphere.material.color.getHexString()).toBe('00ff00');
+      expect(refresh).not.toHaveBeenCalled();
+      graph.stopNodeAnimation(a, 'idle', true);
+      graph.animationManager().unregisterAnimation('idle');
+    });
+
+    it('should recreate the node objects that can\'t be updated in place', async () => {
+      const refresh = vi.spyOn(graph, 'refresh');
+      const factory = graph.nodeObjectFactory();
+      factory.registerType('static', (node, THREE) => new THREE.Mesh());
+      const a = getNode('a');
+      a.nodeThreeObjectType = 'static';
+
+      graph.updateNodeVisuals([a]);
+      await digest();
+
+      expect(refresh).toHaveBeenCalled();
+      expect(a.__threeObj.geometry.type).toBe('BufferGeometry');
+      expect(factory.getActiveObject('a')).toBe(a.__threeObj);
+    });
+
+    it('should animate copies of the shared default node materials', async () => {
+      const manager = new AnimationManager();
+      registerBuiltInAnimations(manager);
+      graph.setAnimationManager(manager);
+      graph.graphData({ nodes: [{ id: 'c' }, { id: 'e' }], links: [] });
+      await digest();
+
+      const c = getNode('c');
+      const e = getNode('e');
+      const shared = e.__threeObj.material;
+      expect(c.__threeObj.material).toBe(shared);
+
+      graph.startNodeAnimation(c, 'fade', { duration: 1, easing: 'linear' });
+      manager.tick(0.25);
+
+      expect(c.__threeObj.material).not.toBe(shared);
+      expect(c.__threeObj.material.opacity).toBeCloseTo(0.1875);
+      expect(shared.opacity).toBe(0.75);
+    });
+
+    it('should stop the animations of the objects it releases', async () => {
+      const manager = graph.animationManager();
+      manager.registerAnimation('dim', {
+        update: (object, state) => {
+          object.material.opacity = 0.1;
+          return state;
+        }
+      });
+      const a = getNode('a');
+      const cube = a.__threeObj;
+      const shared = cube.material;
+      graph.startNodeAnimation(a, 'dim');
+      manager.tick(0.016);
+
+      graph.graphData({ nodes: [getNode('b')], links: [] });
+      await digest();
+      graph.graphData({ nodes: [getNode('b'), { id: 'd', nodeThreeObjectType: 'cube' }], links: [] });
+      await digest();
+      manager.tick(0.016);
+      manager.unregisterAnimation('dim');
+
+      const d = getNode('d');
+      expect(d.__threeObj).toBe(cube);
+      expect(manager.isAnimating(cube)).toBe(false);
+      expect(cube.material).toBe(shared);
+      expect(shared.opacity).toBe(0.75);
+    });
+
+    it('should release the objects of the nodes leaving the graph', async () => {
+      const factory = graph.nodeObjectFactory();
+      const cube = getNode('a').__threeObj;
+      expect(factory.getStats().activeObjects).toBe(2);
+
+      graph.graphData({ nodes: graph.graphData().nodes.filter(node => node.id !== 'a'), links: [] });
+      await digest();
+
+      expect(factory.getActiveObject('a')).toBeNull();
+      expect(factory.getStats().pooledObjects.cube).toBe(1);
+
+      graph.graphData({ nodes: [...graph.graphData().nodes, { id: 'd', nodeThreeObjectType: 'cube' }], links: [] });
+      await digest();
+
+      expect(getNode('d').__threeObj).toBe(cube);
+    });
+
+    it('should release the previous object of nodes whose type changed', async () => {
+      const factory = graph.nodeObjectFactory();
+      const cone = getNode('b').__threeObj;
+
+      getNode('b').nodeThreeObjectType = 'cylinder';
+      graph.refresh();
+      await digest();
+
+      expect(getNode('b').__threeObj).not.toBe(cone);
+      expect(factory.getActiveObject('b')).toBe(getNode('b').__threeObj);
+      expect(factory.getStats().pooledObjects.cone).toBe(1);
+      expect(factory.getStats().activeObjects).toBe(2);
+    });
+
+    it('should release all its objects when destroyed', () => {
+      const factory = graph.nodeObjectFactory();
+      graph._destructor();
+      graph = null;
+
+      expect(factory.getStats().activeObjects).toBe(0);
+      expect(factory.getStats().pooledObjects).toMatchObject({ cube: 1, cone: 1 });
+    });
   });
 
   describe('Statistics', () => {